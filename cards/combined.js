@@ -0,0 +1,128 @@
+// cards/combined.js
+// Side-by-side summary of several platforms with a merged activity sparkline.
+const { escapeXml } = require('../utils/helpers');
+const { DEFAULT_TIMEZONE, toDayKey } = require('../utils/streaks');
+const { resolveTheme, cardBackground } = require('../utils/themes');
+
+const SPARKLINE_WEEKS = 26;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Unit of a platform's solved count and activity; CodeChef only reports submissions
+const unitOf = adapter => adapter.activityUnit || 'problems';
+const unitLabels = {
+    problems: { stat: 'Solved', total: 'total problems solved', activity: 'Problems solved' },
+    submissions: { stat: 'Submissions', total: 'total submissions', activity: 'Submissions' }
+};
+
+// Sum every platform's daily activity into weekly totals, oldest week first
+function buildWeeklyActivity(activities, timeZone) {
+    const today = Date.parse(toDayKey(Date.now() / 1000, timeZone));
+    const weeks = new Array(SPARKLINE_WEEKS).fill(0);
+
+    activities.forEach(activity => {
+        activity.forEach((value, dayKey) => {
+            const weeksAgo = Math.floor((today - Date.parse(dayKey)) / DAY_MS / 7);
+            if (weeksAgo >= 0 && weeksAgo < SPARKLINE_WEEKS) {
+                weeks[SPARKLINE_WEEKS - 1 - weeksAgo] += value;
+            }
+        });
+    });
+    return weeks;
+}
+
+function generateSparkline(weeks, x, y, width, height, color) {
+    const max = Math.max(...weeks, 1);
+    const step = width / (weeks.length - 1);
+    const points = weeks.map((value, i) => `${x + i * step},${y + height - (value / max) * height}`);
+
+    return `
+        <path d="M ${x},${y + height} L ${points.join(' L ')} L ${x + width},${y + height} Z" fill="${color}" opacity="0.15"/>
+        <polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round"/>
+    `;
+}
+
+function generatePlatformSection(section, theme) {
+    const { adapter, handle, profile, error } = section;
+
+    if (error) {
+        return `
+            <text class="platform" x="0" y="0">${escapeXml(adapter.name)}</text>
+            <text class="handle" x="0" y="28" fill="${theme.muted}">${escapeXml(handle)}</text>
+            <text class="label" x="0" y="46">Data unavailable right now</text>
+        `;
+    }
+
+    const rankColor = profile.contests > 0 ? adapter.getTier(profile.rating).color : theme.title;
+    const maxRankColor = profile.contests > 0 ? adapter.getTier(profile.maxRating).color : theme.title;
+
+    return `
+        <text class="platform" x="0" y="0">${escapeXml(adapter.name)}</text>
+        <text class="handle" x="0" y="28" fill="${theme.titleOverride || rankColor}">${escapeXml(profile.handle)}</text>
+        <text class="label" x="0" y="46">${escapeXml(profile.rank.charAt(0).toUpperCase() + profile.rank.slice(1))}</text>
+        <g transform="translate(0, 72)">
+            <text class="stat" x="0" y="0" style="fill: ${rankColor}">${profile.rating}</text>
+            <text class="label" x="0" y="18">Rating</text>
+        </g>
+        <g transform="translate(110, 72)">
+            <text class="stat" x="0" y="0" style="fill: ${maxRankColor}">${profile.maxRating}</text>
+            <text class="label" x="0" y="18">Max Rating</text>
+        </g>
+        <g transform="translate(210, 72)">
+            <text class="stat" x="0" y="0">${profile.solved}</text>
+            <text class="label" x="0" y="18">${unitLabels[unitOf(adapter)].stat}</text>
+        </g>
+    `;
+}
+
+// `sections` are { adapter, handle, profile, activity } or { adapter, handle, error }
+function generateCombinedSVG(sections, options = {}) {
+    const { timeZone = DEFAULT_TIMEZONE, theme = resolveTheme() } = options;
+
+    const width = 700;
+    const height = 250;
+    const sectionWidth = (width - 40) / sections.length;
+
+    // Solves and submissions do not add up, so the total and the sparkline only count
+    // problems solved, unless every platform shown reports submissions
+    const loaded = sections.filter(section => section.profile);
+    const unit = loaded.length > 0 && loaded.every(section => unitOf(section.adapter) === 'submissions') ? 'submissions' : 'problems';
+    const counted = loaded.filter(section => unitOf(section.adapter) === unit);
+    const total = counted.reduce((sum, section) => sum + section.profile.solved, 0);
+    const weeks = buildWeeklyActivity(counted.map(section => section.activity), timeZone);
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+         style="border-radius:15px; box-shadow: 0 4px 10px rgba(0, 0, 0, 0.2);"
+         xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+        <style>
+            @import url('https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;600;700&amp;display=swap');
+            .heading { font: 700 18px 'Open Sans', sans-serif; fill: ${theme.title}; }
+            .platform { font: 600 12px 'Open Sans', sans-serif; fill: ${theme.muted}; letter-spacing: 1px; }
+            .handle { font: 700 20px 'Open Sans', sans-serif; }
+            .stat { font: 600 18px 'Open Sans', sans-serif; fill: ${theme.title}; }
+            .label { font: 400 11px 'Open Sans', sans-serif; fill: ${theme.muted}; }
+            .total { font: 700 18px 'Open Sans', sans-serif; fill: ${theme.title}; }
+        </style>
+
+        ${cardBackground(theme, width, height)}
+
+        <!-- Header -->
+        <text class="heading" x="20" y="35">Competitive Programming</text>
+        <text class="total" x="${width - 20}" y="35" text-anchor="end">${total}</text>
+        <text class="label" x="${width - 20}" y="50" text-anchor="end">${unitLabels[unit].total}</text>
+        <path d="M20,62 L${width - 20},62" stroke="${theme.border}" stroke-width="1"/>
+
+        <!-- Platforms -->
+        ${sections.map((section, i) => `
+            <g transform="translate(${20 + i * sectionWidth}, 85)">
+                ${generatePlatformSection(section, theme)}
+            </g>
+        `).join('')}
+
+        <!-- Merged activity -->
+        <text class="label" x="20" y="190">${unitLabels[unit].activity}, last ${SPARKLINE_WEEKS} weeks</text>
+        ${generateSparkline(weeks, 20, 198, width - 40, 36, theme.heatmap[3])}
+    </svg>`;
+}
+
+module.exports = { generateCombinedSVG };
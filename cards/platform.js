@@ -0,0 +1,273 @@
+// cards/platform.js
+// Generic cards rendered from the normalized data every platform adapter returns.
+const { escapeXml, errorSVG } = require('../utils/helpers');
+const { getImage } = require('../utils/images');
+const { DEFAULT_TIMEZONE, computeStreaks } = require('../utils/streaks');
+const { resolveTheme, cardBackground } = require('../utils/themes');
+const { calendarRange, buildCalendar, renderCalendar, renderLegend, calendarWidth } = require('../utils/calendar');
+const { DRAW_DURATION, animationStyles, animationDelay, countUpText } = require('../utils/animation');
+const { truncateText } = require('../utils/text');
+
+const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+async function generatePlatformProfileSVG(profile, adapter, options = {}) {
+    const { theme = resolveTheme(), animate = false } = options;
+    const width = 500;
+    const height = 300;
+
+    const tier = adapter.getTier(profile.rating);
+    const rankColor = profile.contests > 0 ? tier.color : theme.title;
+    const rankName = profile.contests > 0 ? profile.rank || tier.name : 'unrated';
+    const titleColor = theme.titleOverride || rankColor;
+    const avatar = profile.avatar ? await getImage(profile.avatar, 'avatar') : null;
+    // Header text ends 10px before the avatar circle, or at the right padding without one
+    const textWidth = (avatar ? 370 : width - 20) - 20;
+
+    const stats = [
+        { value: profile.rating, label: 'Current Rating' },
+        { value: profile.maxRating, label: 'Max Rating' },
+        { value: profile.contests, label: 'Contests' },
+        { value: profile.solved, label: 'Problems Solved' }
+    ];
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+         style="border-radius:15px; box-shadow: 0 4px 10px rgba(0, 0, 0, 0.2);"
+         xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+        <style>
+            @import url('https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;600;700&amp;display=swap');
+            .title { font: 700 24px 'Open Sans', sans-serif; }
+            .rank { font: 700 20px 'Open Sans', sans-serif; }
+            .info { font: 400 14px 'Open Sans', sans-serif; fill: ${theme.text}; }
+            .stat { font: 600 16px 'Open Sans', sans-serif; fill: ${theme.title}; }
+            .label { font: 400 11px 'Open Sans', sans-serif; fill: ${theme.muted}; }
+            .platform { font: 400 12px 'Open Sans', sans-serif; fill: ${theme.muted}; }${animate ? animationStyles() : ''}
+        </style>
+
+        <defs>
+            <linearGradient id="backgroundGrad" x1="0%" y1="0%" x2="100%" y2="100%">
+                <stop offset="0%" style="stop-color:${theme.background};stop-opacity:1" />
+                <stop offset="100%" style="stop-color:${theme.backgroundAlt};stop-opacity:1" />
+            </linearGradient>
+            <filter id="cardShadow" x="-10%" y="-10%" width="120%" height="120%">
+                <feDropShadow dx="0" dy="2" stdDeviation="2" flood-color="#000" flood-opacity="0.1"/>
+            </filter>
+            <clipPath id="circleClip">
+                <circle cx="430" cy="70" r="50"/>
+            </clipPath>
+        </defs>
+        ${cardBackground(theme, width, height, 'url(#backgroundGrad)')}
+        <rect x="0" y="0" width="${width}" height="80" fill="${rankColor}" opacity="0.15"/>
+
+        <g transform="translate(20, 25)">
+            <text class="rank" fill="${titleColor}" x="0" y="20">${escapeXml(truncateText(rankName.charAt(0).toUpperCase() + rankName.slice(1), textWidth, { size: 20, weight: 700 }))}</text>
+            <text class="title" fill="${titleColor}" x="0" y="45">${escapeXml(truncateText(profile.handle, textWidth, { size: 24, weight: 700 }))}</text>
+            <text class="info" x="0" y="80">${escapeXml(truncateText([profile.country, profile.organization].filter(Boolean).join(' · '), textWidth, { size: 14 }))}</text>
+
+            ${stats.map((stat, i) => `
+                <g transform="translate(${(i % 2) * 160}, ${100 + Math.floor(i / 2) * 70})">
+                    <rect x="0" y="0" width="150" height="60" fill="${theme.surface}" rx="8" filter="url(#cardShadow)"/>
+                    ${countUpText(stat.value, 'class="stat" x="75" y="25" text-anchor="middle"', { animate })}
+                    <text class="label" x="75" y="45" text-anchor="middle">${stat.label}</text>
+                </g>
+            `).join('')}
+
+            <text class="platform" x="0" y="260">${escapeXml(adapter.name)}</text>
+        </g>
+
+        ${avatar ? `
+            <circle cx="430" cy="70" r="50" fill="${theme.surface}"/>
+            <image x="380" y="20" width="100" height="100" href="${avatar}"
+                   clip-path="url(#circleClip)" preserveAspectRatio="xMidYMid slice"/>
+            <circle cx="430" cy="70" r="50" fill="none" stroke="${rankColor}" stroke-width="2"/>
+        ` : ''}
+    </svg>`;
+}
+
+function generatePlatformGraphSVG(profile, history, adapter, options = {}) {
+    const { theme = resolveTheme(), animate = false } = options;
+    if (!history || history.length === 0) {
+        return errorSVG(`No rating history available for ${profile.handle}`, theme);
+    }
+
+    const width = 900;
+    const height = 420;
+    const padding = { top: 20, right: 30, bottom: 35, left: 50 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const axisY = height - padding.bottom;
+
+    const ratings = history.map(r => r.rating);
+    const peakRating = Math.max(profile.maxRating || 0, ...ratings);
+    const ratingRange = {
+        min: Math.max(0, Math.floor((Math.min(...ratings) - 100) / 100) * 100),
+        max: Math.ceil((peakRating + 200) / 100) * 100
+    };
+    const timeRange = {
+        min: history[0].time,
+        max: history[history.length - 1].time
+    };
+
+    const xFor = time => timeRange.max === timeRange.min
+        ? padding.left + plotWidth / 2
+        : padding.left + ((time - timeRange.min) / (timeRange.max - timeRange.min)) * plotWidth;
+    const yFor = rating => axisY - ((rating - ratingRange.min) / (ratingRange.max - ratingRange.min)) * plotHeight;
+
+    const lineColor = adapter.getTier(history[history.length - 1].rating).color;
+
+    // Tier stripes, clipped to the visible rating range
+    const backgroundStripes = adapter.tiers.map(tier => {
+        const low = Math.max(tier.min, ratingRange.min);
+        const high = Math.min(tier.max, ratingRange.max);
+        if (high <= low) return '';
+        return `<rect x="${padding.left}" y="${yFor(high)}" width="${plotWidth}" height="${yFor(low) - yFor(high)}" fill="${tier.color}" opacity="0.1"/>`;
+    }).join('');
+
+    // Grid lines at every tier boundary inside the range, plus the bottom of the axis
+    const yAxisLabels = [ratingRange.min, ...adapter.tiers.map(tier => tier.min)]
+        .filter((rating, i, all) => rating >= ratingRange.min && rating < ratingRange.max && all.indexOf(rating) === i)
+        .map(rating => `
+            <text x="${padding.left - 10}" y="${yFor(rating)}" text-anchor="end" class="axis-label" dominant-baseline="middle">${rating}</text>
+            <line x1="${padding.left}" y1="${yFor(rating)}" x2="${width - padding.right}" y2="${yFor(rating)}" class="grid-line"/>
+        `).join('');
+
+    const graphPoints = history.map((r, i) => `${i === 0 ? 'M' : 'L'} ${xFor(r.time)},${yFor(r.rating)}`).join(' ');
+
+    const dots = history.map(r => {
+        const date = new Date(r.time * 1000);
+        return `
+            <circle cx="${xFor(r.time)}" cy="${yFor(r.rating)}" r="3" fill="${adapter.getTier(r.rating).color}">
+                <title>${escapeXml(r.contestName || 'Contest')}: ${r.rating} (${monthNames[date.getUTCMonth()]} ${date.getUTCFullYear()})</title>
+            </circle>
+        `;
+    }).join('');
+
+    // X-axis labels, keeping a minimum distance between neighbours
+    const minSpacing = 100;
+    let lastLabelX = -Infinity;
+    const xAxisLabels = history.map(r => {
+        const x = xFor(r.time);
+        if (x - lastLabelX < minSpacing) return '';
+        lastLabelX = x;
+        const date = new Date(r.time * 1000);
+        return `<text x="${x}" y="${axisY + 15}" text-anchor="middle" class="axis-label">${monthNames[date.getUTCMonth()]} ${date.getUTCFullYear()}</text>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+         style="border-radius:15px; box-shadow: 0 4px 10px rgba(0, 0, 0, 0.2);"
+         xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+        <style>
+            @import url('https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;600;700&amp;display=swap');
+            .axis-label { font: 400 11px 'Open Sans', sans-serif; fill: ${theme.muted}; }
+            .handle-label { font: 600 14px 'Open Sans', sans-serif; fill: ${theme.titleOverride || theme.muted}; }
+            .ratings-label { font: 600 14px 'Open Sans', sans-serif; fill: ${theme.title}; }
+            .graph-path { stroke: ${lineColor}; stroke-width: 1.5; fill: none; }
+            .grid-line { stroke: ${theme.grid}; stroke-width: 1; opacity: 0.5; }
+            .border { stroke: ${theme.text}; stroke-width: 1; fill: none; }${animate ? animationStyles() : ''}
+        </style>
+
+        <!-- Background -->
+        ${cardBackground(theme, width, height)}
+
+        <!-- Tier stripes -->
+        ${backgroundStripes}
+
+        <!-- Grid lines and axis labels -->
+        ${yAxisLabels}
+
+        <!-- Axes -->
+        <line x1="${padding.left}" y1="${axisY}" x2="${width - padding.right}" y2="${axisY}" class="border"/>
+        <line x1="${padding.left}" y1="${padding.top}" x2="${padding.left}" y2="${axisY}" class="border"/>
+
+        <!-- Rating curve and points -->
+        ${animate
+            ? `<path d="${graphPoints}" class="graph-path draw-line" pathLength="1"/><g class="fade-in" ${animationDelay(DRAW_DURATION)}>${dots}</g>`
+            : `<path d="${graphPoints}" class="graph-path"/>${dots}`}
+
+        <!-- X-axis labels -->
+        ${xAxisLabels}
+
+        <!-- Ratings text -->
+        <text x="${padding.left}" y="${padding.top - 5}" class="ratings-label">
+            Contest rating: <tspan font-weight="bold">${escapeXml(profile.rating || history[history.length - 1].rating)}</tspan>
+            (max. <tspan font-weight="bold">${peakRating}</tspan>)
+        </text>
+
+        <!-- Handle label -->
+        <text x="${width - padding.right}" y="${padding.top - 5}" text-anchor="end" class="handle-label">${escapeXml(profile.name || profile.handle)}</text>
+    </svg>`;
+}
+
+function generatePlatformHeatmapSVG(activity, adapter, options = {}) {
+    const { timeZone = DEFAULT_TIMEZONE, theme = resolveTheme(), colorScale = 'quantile', colors = null, animate = false } = options;
+    const unit = adapter.activityUnit || 'problems';
+    const palette = colors || theme.heatmap;
+
+    const xOffset = 35;
+    const yOffset = 35;
+    const range = calendarRange({ ...options, timeZone });
+    const weeks = buildCalendar(activity, range);
+    const width = calendarWidth(weeks, { x: xOffset });
+    const height = 250;
+
+    const days = weeks.flat();
+    const total = [...activity.values()].reduce((sum, value) => sum + value, 0);
+    const rangeTotal = days.reduce((sum, day) => sum + day.value, 0);
+    const activeDays = days.filter(day => day.value > 0).length;
+    const { maxStreak, currentStreak, rangeStreak } = computeStreaks(activity, { timeZone, range });
+
+    const statsY = height - 80;
+    const streakY = height - 30;
+    const spacing = 220;
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+         style="border-radius:15px; box-shadow: 0 4px 10px rgba(0, 0, 0, 0.2);"
+         xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+        <style>
+            @import url('https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;600&amp;display=swap');
+            text { font-family: 'Open Sans', sans-serif; font-size: 10px; fill: ${theme.muted}; }
+            .title { font-size: 16px; font-weight: 600; fill: ${theme.title}; }
+            .subtitle { font-size: 12px; fill: ${theme.muted}; }${animate ? animationStyles() : ''}
+        </style>
+
+        <!-- Background -->
+        ${cardBackground(theme, width, height)}
+
+        <!-- Heatmap cells with month and day labels -->
+        ${renderCalendar(weeks, { palette, colorScale, unit, x: xOffset, y: yOffset, animate })}
+
+        <!-- Legend -->
+        ${renderLegend(palette, width - 220, yOffset + 7 * 12 + 10)}
+
+        <!-- Statistics -->
+        <g transform="translate(${xOffset}, ${statsY})">
+            <text x="0" y="0" class="title">${total} ${unit}</text>
+            <text x="0" y="20" class="subtitle">for all time</text>
+        </g>
+        <g transform="translate(${xOffset + spacing}, ${statsY})">
+            <text x="0" y="0" class="title">${rangeTotal} ${unit}</text>
+            <text x="0" y="20" class="subtitle">${range.label}</text>
+        </g>
+        <g transform="translate(${xOffset + spacing * 2}, ${statsY})">
+            <text x="0" y="0" class="title">${activeDays} days</text>
+            <text x="0" y="20" class="subtitle">active ${range.label}</text>
+        </g>
+
+        <g transform="translate(${xOffset}, ${streakY})">
+            <text x="0" y="0" class="title">${maxStreak} days</text>
+            <text x="0" y="20" class="subtitle">in a row max.</text>
+        </g>
+        <g transform="translate(${xOffset + spacing}, ${streakY})">
+            <text x="0" y="0" class="title">${rangeStreak} days</text>
+            <text x="0" y="20" class="subtitle">in a row ${range.label}</text>
+        </g>
+        <g transform="translate(${xOffset + spacing * 2}, ${streakY})">
+            <text x="0" y="0" class="title">${currentStreak} days</text>
+            <text x="0" y="20" class="subtitle">current streak</text>
+        </g>
+    </svg>`;
+}
+
+module.exports = { generatePlatformProfileSVG, generatePlatformGraphSVG, generatePlatformHeatmapSVG };
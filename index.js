@@ -6,17 +6,50 @@ const path = require('path');
 // Import the modular routers
 const cfRouter = require('./routes/cf');
 const ccRouter = require('./routes/cc');
+const combinedRouter = require('./routes/combined');
+const apiRouter = require('./routes/api');
+const embedRouter = require('./routes/embed');
+const { createPlatformRouter } = require('./routes/platform');
+const { platforms } = require('./platforms');
+const { rateLimiter } = require('./utils/ratelimit');
+const { sendErrorCard } = require('./utils/render');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Behind a load balancer or CDN, TRUST_PROXY makes req.ip the client's address
+// ("true", a hop count, or a list of proxy addresses)
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy === 'true') {
+    app.set('trust proxy', true);
+} else if (/^\d+$/.test(trustProxy || '')) {
+    app.set('trust proxy', parseInt(trustProxy, 10));
+} else if (trustProxy) {
+    app.set('trust proxy', trustProxy);
+}
+
+// Platforms with hand-tuned cards; every other adapter gets the generic cards
+const customRouters = {
+    cf: cfRouter,
+    cc: ccRouter
+};
+
 // Top level middlewares
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Cards are loaded by <img> tags, so a rejected request still gets a card, sized by its last path segment
+app.use('/card', rateLimiter.middleware((req, res, error) => {
+    return sendErrorCard(req, res, error, req.path.split('/').filter(Boolean).pop());
+}));
+
 // Mount the routers to their respective base URLs
-app.use('/card/cf', cfRouter);
-app.use('/card/cc', ccRouter);
+Object.values(platforms).forEach(adapter => {
+    app.use(`/card/${adapter.id}`, customRouters[adapter.id] || createPlatformRouter(adapter));
+});
+app.use('/card/combined', combinedRouter);
+app.use('/api', apiRouter);
+app.use('/embed', embedRouter);
 
 app.listen(port, () => {
     console.log(`Server running at http://localhost:${port}`);
-});
\ No newline at end of file
+});
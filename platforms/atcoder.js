@@ -0,0 +1,182 @@
+// platforms/atcoder.js
+// AtCoder has no public user API: rating history comes from atcoder.jp's own JSON
+// export and solved problems from the AtCoder Problems API (kenkoooo.com).
+const axios = require('axios');
+const { DEFAULT_TIMEZONE, toDayKey } = require('../utils/streaks');
+const { cache } = require('../utils/cache');
+const { createTokenBucket } = require('../utils/scheduler');
+const { notFoundError, upstreamError, rateLimitError, fromUpstreamError } = require('../utils/errors');
+
+const PROBLEMS_API = 'https://kenkoooo.com/atcoder/atcoder-api/v3';
+const SUBMISSIONS_PAGE_SIZE = 500;
+// 10000 submissions in the activity window; a busier account's heatmap stops short of today
+const MAX_SUBMISSION_PAGES = 20;
+const ACTIVITY_WINDOW_SECONDS = 372 * 24 * 60 * 60;
+
+// AtCoder Problems asks for about one call a second; a burst of 2 covers the solved count
+// and the first submissions page of one refresh
+const problemsApiQueue = createTokenBucket({ capacity: 2, refillMs: 1000, maxQueue: 20 });
+
+const requestOptions = {
+    timeout: 10000,
+    headers: {
+        'User-Agent': 'Cp-Card/1.0'
+    }
+};
+
+// AtCoder rating colors, highest first
+const tiers = [
+    { name: 'red', min: 2800, max: Infinity, color: '#FF0000' },
+    { name: 'orange', min: 2400, max: 2800, color: '#FF8000' },
+    { name: 'yellow', min: 2000, max: 2400, color: '#C0C000' },
+    { name: 'blue', min: 1600, max: 2000, color: '#0000FF' },
+    { name: 'cyan', min: 1200, max: 1600, color: '#00C0C0' },
+    { name: 'green', min: 800, max: 1200, color: '#008000' },
+    { name: 'brown', min: 400, max: 800, color: '#804000' },
+    { name: 'gray', min: -Infinity, max: 400, color: '#808080' }
+];
+
+// Every AtCoder Problems call waits for a token from the shared queue
+async function callProblemsApi(path, params) {
+    try {
+        await problemsApiQueue.take();
+    } catch (error) {
+        throw rateLimitError('AtCoder', error.retryAfter);
+    }
+    return axios.get(`${PROBLEMS_API}${path}`, { ...requestOptions, params });
+}
+
+async function fetchRecentSubmissions(handle) {
+    // The submissions endpoint returns at most one page per call, oldest first
+    const submissions = [];
+    const seen = new Set();
+    let fromSecond = Math.floor(Date.now() / 1000) - ACTIVITY_WINDOW_SECONDS;
+
+    for (let page = 0; page < MAX_SUBMISSION_PAGES; page++) {
+        const { data } = await callProblemsApi('/user/submissions', { user: handle, from_second: fromSecond });
+        data.filter(sub => !seen.has(sub.id)).forEach(sub => {
+            seen.add(sub.id);
+            submissions.push(sub);
+        });
+
+        if (data.length < SUBMISSIONS_PAGE_SIZE) {
+            break;
+        }
+        // The next page starts at the last second seen, not after it, so submissions sharing
+        // that second are not skipped; the ones already seen are dropped by id. Only a page
+        // that is all one second has to move past it.
+        const lastSecond = data[data.length - 1].epoch_second;
+        fromSecond = lastSecond > fromSecond ? lastSecond : lastSecond + 1;
+    }
+    return submissions;
+}
+
+async function getAtcoderData(handle) {
+    return cache.wrap(`ac:user:${handle}`, () => fetchAtcoderData(handle));
+}
+
+async function fetchAtcoderData(handle) {
+    try {
+        const [history, acRank, submissions] = await Promise.all([
+            axios.get(`https://atcoder.jp/users/${encodeURIComponent(handle)}/history/json`, requestOptions),
+            callProblemsApi('/user/ac_rank', { user: handle }),
+            fetchRecentSubmissions(handle)
+        ]);
+
+        if (!Array.isArray(history.data)) {
+            throw upstreamError('AtCoder', 'invalid response');
+        }
+
+        return {
+            history: history.data,
+            acRank: acRank.data,
+            submissions
+        };
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            throw notFoundError(`AtCoder user "${handle}" not found`);
+        }
+        throw fromUpstreamError(error, 'AtCoder');
+    }
+}
+
+function getTier(rating) {
+    return tiers.find(tier => rating >= tier.min) || tiers[tiers.length - 1];
+}
+
+function getRankColor(rank) {
+    const tier = tiers.find(tier => tier.name === rank);
+    return tier ? tier.color : '#000000';
+}
+
+function getRatedContests(history) {
+    return history.filter(contest => contest.IsRated);
+}
+
+async function fetchProfile(handle) {
+    const { history, acRank } = await getAtcoderData(handle);
+    const rated = getRatedContests(history);
+    const rating = rated.length > 0 ? rated[rated.length - 1].NewRating : 0;
+    const maxRating = rated.reduce((max, contest) => Math.max(max, contest.NewRating), 0);
+
+    return {
+        handle,
+        name: handle,
+        avatar: null,
+        rating,
+        maxRating,
+        rank: getTier(rating).name,
+        maxRank: getTier(maxRating).name,
+        country: null,
+        organization: null,
+        contests: rated.length,
+        solved: acRank.count || 0
+    };
+}
+
+async function fetchRatingHistory(handle) {
+    const { history } = await getAtcoderData(handle);
+    return getRatedContests(history)
+        .map(contest => ({
+            time: Math.floor(new Date(contest.EndTime).getTime() / 1000),
+            rating: contest.NewRating,
+            delta: contest.NewRating - contest.OldRating,
+            rank: contest.Place,
+            contestName: contest.ContestNameEn || contest.ContestName
+        }))
+        .sort((a, b) => a.time - b.time);
+}
+
+// Only the last year of submissions is fetched, so all-time streaks are bounded by that window
+async function fetchActivity(handle, { timeZone = DEFAULT_TIMEZONE } = {}) {
+    const { submissions } = await getAtcoderData(handle);
+    const solvedByDate = new Map();
+    submissions.filter(sub => sub.result === 'AC').forEach(sub => {
+        const dateKey = toDayKey(sub.epoch_second, timeZone);
+        if (!solvedByDate.has(dateKey)) {
+            solvedByDate.set(dateKey, new Set());
+        }
+        solvedByDate.get(dateKey).add(sub.problem_id);
+    });
+    return new Map([...solvedByDate].map(([dateKey, problems]) => [dateKey, problems.size]));
+}
+
+async function fetchLastModified(handle) {
+    const { history, submissions } = await getAtcoderData(handle);
+    return Math.max(0,
+        ...history.map(contest => Math.floor(new Date(contest.EndTime).getTime() / 1000)),
+        ...submissions.slice(-1).map(sub => sub.epoch_second));
+}
+
+module.exports = {
+    id: 'ac',
+    name: 'AtCoder',
+    tiers,
+    getTier,
+    getRankColor,
+    fetchProfile,
+    fetchRatingHistory,
+    fetchActivity,
+    fetchLastModified,
+    getAtcoderData
+};
@@ -0,0 +1,142 @@
+// platforms/codechef.js
+const axios = require('axios');
+const { cache } = require('../utils/cache');
+const { notFoundError, upstreamError, fromUpstreamError } = require('../utils/errors');
+
+// CodeChef star bands, highest first
+const tiers = [
+    { name: '7★', min: 2500, max: Infinity, color: '#D0011B' },
+    { name: '6★', min: 2200, max: 2500, color: '#FF7F00' },
+    { name: '5★', min: 2000, max: 2200, color: '#FFBF00' },
+    { name: '4★', min: 1800, max: 2000, color: '#684273' },
+    { name: '3★', min: 1600, max: 1800, color: '#3366CC' },
+    { name: '2★', min: 1400, max: 1600, color: '#1E7D22' },
+    { name: '1★', min: -Infinity, max: 1400, color: '#666666' }
+];
+
+async function getCodechefData(handle) {
+    return cache.wrap(`cc:user:${handle}`, () => fetchCodechefData(handle));
+}
+
+async function fetchCodechefData(handle) {
+    let response;
+    try {
+        response = await axios.get(`https://codechef-api.vercel.app/handle/${handle}`, { timeout: 10000 });
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            throw notFoundError(`CodeChef user "${handle}" not found`);
+        }
+        throw fromUpstreamError(error, 'CodeChef');
+    }
+
+    // The API answers unknown handles with { success: false, status: 404 }
+    if (response.data && response.data.success === false) {
+        throw notFoundError(`CodeChef user "${handle}" not found`);
+    }
+    if (!response.data) {
+        throw upstreamError('CodeChef', 'no data received');
+    }
+
+    const totalSolved = response.data.heatMap ?
+        response.data.heatMap.reduce((sum, day) => sum + day.value, 0) : 0;
+
+    return {
+        ...response.data,
+        totalSolved
+    };
+}
+
+function getTier(rating) {
+    return tiers.find(tier => rating >= tier.min) || tiers[tiers.length - 1];
+}
+
+function getRankColor(stars) {
+    const tier = tiers.find(tier => tier.name === stars);
+    return tier ? tier.color : '#666666';
+}
+
+function parseCodechefDate(entry) {
+    // The API splits contest dates into string parts; fall back to end_date when they are missing
+    if (entry.getyear && entry.getmonth && entry.getday) {
+        return new Date(Date.UTC(Number(entry.getyear), Number(entry.getmonth) - 1, Number(entry.getday)));
+    }
+    return new Date(`${String(entry.end_date || entry.date).split(' ')[0]}T00:00:00Z`);
+}
+
+function normalizeDateKey(value) {
+    // Heatmap dates come without zero padding, e.g. "2024-3-7"
+    const [year, month, day] = String(value).split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).toISOString().split('T')[0];
+}
+
+async function fetchProfile(handle) {
+    const data = await getCodechefData(handle);
+    return {
+        handle,
+        name: data.name || handle,
+        avatar: data.profile || null,
+        rating: Number(data.currentRating) || 0,
+        maxRating: Number(data.highestRating) || 0,
+        rank: data.stars || getTier(Number(data.currentRating) || 0).name,
+        maxRank: getTier(Number(data.highestRating) || 0).name,
+        country: data.countryName || null,
+        organization: data.institution || null,
+        contests: (data.ratingData || []).length,
+        solved: data.totalSolved || 0
+    };
+}
+
+async function fetchRatingHistory(handle) {
+    const { ratingData = [] } = await getCodechefData(handle);
+    const history = ratingData
+        .map(r => ({
+            time: parseCodechefDate(r).getTime() / 1000,
+            rating: Number(r.rating),
+            rank: Number(r.rank) || null,
+            contestName: r.name || r.code
+        }))
+        .filter(r => !Number.isNaN(r.rating) && !Number.isNaN(r.time))
+        .sort((a, b) => a.time - b.time);
+
+    // The API only reports new ratings, so deltas are derived from consecutive contests
+    return history.map((r, i) => ({ ...r, delta: i > 0 ? r.rating - history[i - 1].rating : null }));
+}
+
+// CodeChef already buckets the heatmap by day, so the timezone option does not apply
+async function fetchActivity(handle) {
+    const { heatMap = [] } = await getCodechefData(handle);
+    const valuesByDate = new Map();
+    heatMap.forEach(day => {
+        const key = normalizeDateKey(day.date);
+        valuesByDate.set(key, (valuesByDate.get(key) || 0) + (Number(day.value) || 0));
+    });
+    return valuesByDate;
+}
+
+// The heatmap only has dates, so its latest day counts from midnight UTC
+function getLastModified({ ratingData = [], heatMap = [] }) {
+    const times = [
+        ...ratingData.map(r => parseCodechefDate(r).getTime() / 1000),
+        ...heatMap.map(day => Date.parse(normalizeDateKey(day.date)) / 1000)
+    ];
+    return Math.max(0, ...times.filter(Number.isFinite));
+}
+
+async function fetchLastModified(handle) {
+    return getLastModified(await getCodechefData(handle));
+}
+
+module.exports = {
+    id: 'cc',
+    name: 'CodeChef',
+    activityUnit: 'submissions',
+    tiers,
+    getTier,
+    getRankColor,
+    fetchProfile,
+    fetchRatingHistory,
+    fetchActivity,
+    fetchLastModified,
+    getLastModified,
+    getCodechefData
+};
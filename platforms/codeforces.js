@@ -0,0 +1,312 @@
+// platforms/codeforces.js
+const axios = require('axios');
+const crypto = require('crypto');
+const { DEFAULT_TIMEZONE, toDayKey } = require('../utils/streaks');
+const { cache } = require('../utils/cache');
+const { createTokenBucket } = require('../utils/scheduler');
+const { notFoundError, upstreamError, rateLimitError, fromUpstreamError } = require('../utils/errors');
+
+const API_KEY = process.env.API_KEY;
+const API_SECRET = process.env.API_SECRET;
+
+// Codeforces allows about one call every two seconds; a burst of 3 covers one profile refresh
+const codeforcesQueue = createTokenBucket({ capacity: 3, refillMs: 2000, maxQueue: 15 });
+
+// Per-handle submission snapshots are extended incrementally instead of re-downloading user.status
+const SNAPSHOT_TTL = 30 * 24 * 60 * 60 * 1000;
+const SNAPSHOT_FULL_SYNC = 7 * 24 * 60 * 60 * 1000;
+const SUBMISSIONS_PAGE_SIZE = 100;
+const MAX_SUBMISSIONS_PAGE_SIZE = 10000;
+
+const requestOptions = {
+    timeout: 10000,
+    headers: {
+        'User-Agent': 'Codeforces-Profile-Card/1.0'
+    }
+};
+
+// Codeforces rank tiers, highest first
+const tiers = [
+    { name: 'legendary grandmaster', min: 3000, max: Infinity, color: '#FF0000' },
+    { name: 'international grandmaster', min: 2600, max: 3000, color: '#FF0000' },
+    { name: 'grandmaster', min: 2400, max: 2600, color: '#FF0000' },
+    { name: 'international master', min: 2300, max: 2400, color: '#FF8C00' },
+    { name: 'master', min: 2100, max: 2300, color: '#FF8C00' },
+    { name: 'candidate master', min: 1900, max: 2100, color: '#AA00AA' },
+    { name: 'expert', min: 1600, max: 1900, color: '#0000FF' },
+    { name: 'specialist', min: 1400, max: 1600, color: '#03A89E' },
+    { name: 'pupil', min: 1200, max: 1400, color: '#008000' },
+    { name: 'newbie', min: -Infinity, max: 1200, color: '#808080' }
+];
+
+// Color mapping for ranks
+const rankColors = {
+    ...Object.fromEntries(tiers.map(tier => [tier.name, tier.color])),
+    'unrated': '#000000'
+};
+
+function generateApiSig(methodName, params) {
+    const rand = Math.random().toString(36).substring(2, 8);
+    const sortedParams = Object.entries(params)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('&');
+    
+    const stringToHash = `${rand}/${methodName}?${sortedParams}#${API_SECRET}`;
+    const hash = crypto.createHash('sha512').update(stringToHash).digest('hex');
+    return `${rand}${hash}`;
+}
+
+async function getCodeforcesData(handle) {
+    return cache.wrap(`cf:user:${handle}`, () => fetchCodeforcesData(handle));
+}
+
+// Every Codeforces call waits for a token from the shared queue
+async function callCodeforces(url) {
+    try {
+        await codeforcesQueue.take();
+    } catch (error) {
+        throw rateLimitError('Codeforces', error.retryAfter);
+    }
+
+    let response;
+    try {
+        response = await axios.get(url, requestOptions);
+    } catch (error) {
+        const comment = error.response?.data?.comment || '';
+        if (error.response && (error.response.status === 429 || /call limit/i.test(comment))) {
+            throw rateLimitError('Codeforces', parseInt(error.response.headers?.['retry-after'], 10) || undefined);
+        }
+        throw error;
+    }
+
+    if (response.data.status !== 'OK') {
+        if (/call limit/i.test(response.data.comment || '')) {
+            throw rateLimitError('Codeforces');
+        }
+        throw upstreamError('Codeforces', 'invalid response');
+    }
+    return response.data.result;
+}
+
+// A submission still being judged may change verdict, so it is never treated as known
+function isFinalVerdict(submission) {
+    return Boolean(submission.verdict) && submission.verdict !== 'TESTING';
+}
+
+// Newest id below which the snapshot no longer needs refreshing
+function getLastKnownId(submissions) {
+    const pending = submissions.filter(submission => !isFinalVerdict(submission));
+    if (pending.length > 0) {
+        return Math.min(...pending.map(submission => submission.id)) - 1;
+    }
+    return submissions.length > 0 ? submissions[0].id : 0;
+}
+
+// user.status returns newest first; fetch pages until we reach a submission the snapshot already has
+async function fetchSubmissions(handle) {
+    const snapshotKey = `cf:submissions:${handle.toLowerCase()}`;
+    const snapshot = await cache.get(snapshotKey);
+    const baseUrl = `https://codeforces.com/api/user.status?handle=${handle}`;
+    let submissions;
+    let fullSyncAt;
+
+    if (!snapshot || Date.now() - snapshot.fullSyncAt > SNAPSHOT_FULL_SYNC) {
+        // Occasional full syncs pick up rejudges and hacks of older submissions
+        submissions = await callCodeforces(baseUrl);
+        fullSyncAt = Date.now();
+    } else {
+        const lastKnownId = getLastKnownId(snapshot.submissions);
+        const fresh = [];
+        let from = 1;
+        let count = SUBMISSIONS_PAGE_SIZE;
+
+        for (;;) {
+            const page = await callCodeforces(`${baseUrl}&from=${from}&count=${count}`);
+            fresh.push(...page.filter(submission => submission.id > lastKnownId));
+
+            if (page.length < count || page[page.length - 1].id <= lastKnownId) {
+                break;
+            }
+            from += count;
+            count = Math.min(count * 2, MAX_SUBMISSIONS_PAGE_SIZE);
+        }
+
+        const freshIds = new Set(fresh.map(submission => submission.id));
+        submissions = [
+            ...fresh,
+            ...snapshot.submissions.filter(submission => !freshIds.has(submission.id))
+        ].sort((a, b) => b.id - a.id);
+        fullSyncAt = snapshot.fullSyncAt;
+    }
+
+    await cache.set(snapshotKey, { submissions, fullSyncAt }, { ttl: SNAPSHOT_TTL, staleWhileRevalidate: 0, staleIfError: 0 });
+    return submissions;
+}
+
+async function fetchCodeforcesData(handle) {
+    const maxRetries = 3;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+            const currentTime = Math.floor(Date.now() / 1000);
+            const params = {
+                apiKey: API_KEY,
+                time: currentTime,
+                handles: handle
+            };
+            
+            const apiSig = generateApiSig('user.info', params);
+
+            const [users, ratings, submissions] = await Promise.all([
+                callCodeforces(`https://codeforces.com/api/user.info?handles=${handle}&apiKey=${API_KEY}&time=${currentTime}&apiSig=${apiSig}`),
+                callCodeforces(`https://codeforces.com/api/user.rating?handle=${handle}`),
+                fetchSubmissions(handle)
+            ]);
+
+            return {
+                user: users[0],
+                ratings,
+                submissions
+            };
+        } catch (error) {
+            // Codeforces answers unknown or malformed handles with a 400 mentioning the handle
+            if (error.response && error.response.status === 400 && /handle/i.test(error.response.data?.comment || '')) {
+                throw notFoundError(`Codeforces user "${handle}" not found`);
+            }
+            // Retrying a rate limit would only spend more of the call budget, and other 4xx won't change
+            if (error.type === 'UPSTREAM_RATE_LIMITED' || (error.response && error.response.status < 500)) {
+                throw fromUpstreamError(error, 'Codeforces');
+            }
+            if (attempt === maxRetries) {
+                throw fromUpstreamError(error, 'Codeforces');
+            }
+            // Exponential backoff for timeouts and 5xx responses
+            await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+        }
+    }
+}
+
+function getTier(rating) {
+    return tiers.find(tier => rating >= tier.min) || tiers[tiers.length - 1];
+}
+
+function getRankColor(rank) {
+    return rankColors[(rank || 'unrated').toLowerCase()] || '#000000';
+}
+
+function getProblemKey(problem) {
+    return problem.contestId + '-' + problem.index;
+}
+
+// One entry per solved problem, taken from its first accepted submission
+function getSolvedProblems(submissions) {
+    const solved = new Map();
+    submissions.forEach(sub => {
+        if (sub.verdict !== 'OK') {
+            return;
+        }
+        const key = getProblemKey(sub.problem);
+        const seen = solved.get(key);
+        if (!seen || sub.creationTimeSeconds < seen.solvedAt) {
+            solved.set(key, { key, problem: sub.problem, solvedAt: sub.creationTimeSeconds });
+        }
+    });
+    return [...solved.values()];
+}
+
+async function fetchProfile(handle) {
+    const { user, ratings, submissions } = await getCodeforcesData(handle);
+    return {
+        handle: user.handle,
+        name: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.handle,
+        avatar: user.titlePhoto,
+        rating: user.rating || 0,
+        maxRating: user.maxRating || 0,
+        rank: user.rank || 'unrated',
+        maxRank: user.maxRank || 'unrated',
+        country: user.country || null,
+        organization: user.organization || null,
+        contests: ratings.length,
+        solved: new Set(submissions.filter(sub => sub.verdict === 'OK').map(sub => getProblemKey(sub.problem))).size
+    };
+}
+
+async function fetchRatingHistory(handle) {
+    const { ratings } = await getCodeforcesData(handle);
+    return ratings
+        .map(r => ({
+            time: r.ratingUpdateTimeSeconds,
+            rating: r.newRating,
+            delta: r.newRating - r.oldRating,
+            rank: r.rank,
+            contestName: r.contestName
+        }))
+        .sort((a, b) => a.time - b.time);
+}
+
+async function fetchActivity(handle, { timeZone = DEFAULT_TIMEZONE } = {}) {
+    const { submissions } = await getCodeforcesData(handle);
+    const solvedByDate = new Map();
+    submissions.filter(sub => sub.verdict === 'OK').forEach(sub => {
+        const dateKey = toDayKey(sub.creationTimeSeconds, timeZone);
+        if (!solvedByDate.has(dateKey)) {
+            solvedByDate.set(dateKey, new Set());
+        }
+        solvedByDate.get(dateKey).add(getProblemKey(sub.problem));
+    });
+    return new Map([...solvedByDate].map(([dateKey, problems]) => [dateKey, problems.size]));
+}
+
+// Codeforces has no performance field, so estimate it from the rating change, which is about
+// a quarter of the gap between performance and the old rating. Accounts created after the
+// 2020 rating update start at a hidden 1400 shown as 0, and their first six changes include
+// fixed bonuses that have nothing to do with performance.
+const NEW_ACCOUNT_BONUSES = [500, 350, 250, 150, 100, 50];
+
+function estimatePerformance(ratings) {
+    const hiddenStart = ratings.length > 0 && ratings[0].oldRating === 0;
+    let bonusesPaid = 0;
+
+    return ratings.map((r, i) => {
+        const bonus = hiddenStart ? NEW_ACCOUNT_BONUSES[i] || 0 : 0;
+        const oldRating = hiddenStart ? r.oldRating + 1400 - bonusesPaid : r.oldRating;
+        bonusesPaid += bonus;
+        return Math.round(oldRating + 4 * (r.newRating - r.oldRating - bonus));
+    });
+}
+
+// Rating change earned in each contest, without the bonuses paid to new accounts
+function getRatingGains(ratings) {
+    const hiddenStart = ratings.length > 0 && ratings[0].oldRating === 0;
+    return ratings.map((r, i) => r.newRating - r.oldRating - (hiddenStart ? NEW_ACCOUNT_BONUSES[i] || 0 : 0));
+}
+
+// Unix seconds of the latest rating change or submission, used for Last-Modified
+function getLastModified({ ratings, submissions }) {
+    return Math.max(0,
+        ...ratings.map(r => r.ratingUpdateTimeSeconds),
+        ...submissions.slice(0, 1).map(sub => sub.creationTimeSeconds));
+}
+
+async function fetchLastModified(handle) {
+    return getLastModified(await getCodeforcesData(handle));
+}
+
+module.exports = {
+    id: 'cf',
+    name: 'Codeforces',
+    tiers,
+    getTier,
+    getRankColor,
+    fetchProfile,
+    fetchRatingHistory,
+    fetchActivity,
+    fetchLastModified,
+    getLastModified,
+    estimatePerformance,
+    getRatingGains,
+    getProblemKey,
+    getSolvedProblems,
+    getCodeforcesData
+};
@@ -0,0 +1,21 @@
+// platforms/index.js
+// Registry of platform adapters. Every adapter exposes the same interface:
+//   id, name, tiers, getTier(rating), getRankColor(rank),
+//   fetchProfile(handle), fetchRatingHistory(handle), fetchActivity(handle, { timeZone }),
+//   and optionally fetchLastModified(handle) for the Last-Modified header of cards
+// Adding a platform means adding an adapter file and listing it here.
+const codeforces = require('./codeforces');
+const codechef = require('./codechef');
+const atcoder = require('./atcoder');
+
+const platforms = {
+    [codeforces.id]: codeforces,
+    [codechef.id]: codechef,
+    [atcoder.id]: atcoder
+};
+
+function getPlatform(id) {
+    return platforms[id] || null;
+}
+
+module.exports = { platforms, getPlatform };
@@ -0,0 +1,265 @@
+// public/embed/graph.js
+// Draws the interactive rating graph served by /embed/cf/:handle/graph.
+// The page inlines its data as JSON, so no further requests are made.
+(function () {
+    const { points, tiers, theme } = JSON.parse(document.getElementById('graph-data').textContent);
+    const chart = document.getElementById('chart');
+    const tooltip = document.getElementById('tooltip');
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const padding = { top: 10, right: 16, bottom: 28, left: 48 };
+    const DAY = 24 * 60 * 60;
+    const MIN_SPAN = 14 * DAY;
+
+    if (points.length === 0) {
+        chart.innerHTML = '<div class="message"><strong>No rating history yet</strong></div>';
+        chart.style.display = 'flex';
+        return;
+    }
+
+    // The full range gets a little room on both sides so edge points are not clipped
+    const first = points[0].time;
+    const last = points[points.length - 1].time;
+    const margin = Math.max((last - first) * 0.02, 7 * DAY);
+    const bounds = { from: first - margin, to: last + margin };
+
+    const state = { metric: 'rating', from: bounds.from, to: bounds.to, hover: null };
+    let svg = null;
+    let layout = null;
+
+    const el = (name, attrs, parent) => {
+        const node = document.createElementNS(svgNS, name);
+        Object.keys(attrs).forEach(key => node.setAttribute(key, attrs[key]));
+        if (parent) {
+            parent.appendChild(node);
+        }
+        return node;
+    };
+
+    const formatDate = time => {
+        const date = new Date(time * 1000);
+        return `${monthNames[date.getUTCMonth()]} ${date.getUTCDate()}, ${date.getUTCFullYear()}`;
+    };
+
+    const escapeHtml = text => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+    // Keep the view inside the data and at least two weeks wide
+    function setRange(from, to) {
+        let span = Math.max(to - from, MIN_SPAN);
+        span = Math.min(span, bounds.to - bounds.from);
+        from = Math.min(Math.max(from, bounds.from), bounds.to - span);
+        state.from = from;
+        state.to = from + span;
+    }
+
+    function niceStep(span) {
+        const steps = [50, 100, 200, 250, 500, 1000];
+        return steps.find(step => span / step <= 8) || 1000;
+    }
+
+    // Tick at month starts, thinned out so labels don't overlap
+    function timeTicks(width) {
+        const months = (state.to - state.from) / (30 * DAY);
+        const monthsPerTick = [1, 2, 3, 6, 12, 24, 60].find(count => (months / count) * 80 <= width) || 60;
+        const start = new Date(state.from * 1000);
+        const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+        const ticks = [];
+
+        for (; date.getTime() / 1000 <= state.to; date.setUTCMonth(date.getUTCMonth() + 1)) {
+            if ((date.getUTCFullYear() * 12 + date.getUTCMonth()) % monthsPerTick === 0) {
+                ticks.push(date.getTime() / 1000);
+            }
+        }
+        return ticks;
+    }
+
+    function render() {
+        const width = chart.clientWidth;
+        const height = chart.clientHeight;
+        const visible = points.filter(p => p.time >= state.from && p.time <= state.to);
+        const values = (visible.length > 0 ? visible : points).map(p => p[state.metric]);
+        const step = niceStep(Math.max(...values) - Math.min(...values) + 200);
+        const min = Math.floor((Math.min(...values) - 50) / step) * step;
+        const max = Math.ceil((Math.max(...values) + 50) / step) * step;
+        const plot = {
+            left: padding.left,
+            right: width - padding.right,
+            top: padding.top,
+            bottom: height - padding.bottom
+        };
+        const x = time => plot.left + ((time - state.from) / (state.to - state.from)) * (plot.right - plot.left);
+        const y = value => plot.bottom - ((value - min) / (max - min)) * (plot.bottom - plot.top);
+
+        if (svg) {
+            svg.remove();
+        }
+        svg = el('svg', { width, height, 'aria-label': `Codeforces ${state.metric} history` });
+        chart.insertBefore(svg, tooltip);
+
+        const defs = el('defs', {}, svg);
+        const clip = el('clipPath', { id: 'plot' }, defs);
+        el('rect', { x: plot.left, y: plot.top, width: plot.right - plot.left, height: plot.bottom - plot.top }, clip);
+
+        // Tier stripes, highest first like the adapter's list
+        tiers.forEach((tier, i) => {
+            const upper = i === 0 ? max : tiers[i - 1].min;
+            const lower = tier.min === null ? min : tier.min;
+            if (upper <= min || lower >= max) {
+                return;
+            }
+            const top = y(Math.min(upper, max));
+            const bottom = y(Math.max(lower, min));
+            el('rect', { x: plot.left, y: top, width: plot.right - plot.left, height: bottom - top, fill: tier.color, opacity: 0.1 }, svg);
+        });
+
+        for (let value = min; value <= max; value += step) {
+            el('line', { x1: plot.left, x2: plot.right, y1: y(value), y2: y(value), stroke: theme.grid, opacity: 0.5 }, svg);
+            el('text', { x: plot.left - 8, y: y(value), 'text-anchor': 'end', 'dominant-baseline': 'middle', class: 'axis-label' }, svg)
+                .textContent = value;
+        }
+        timeTicks(plot.right - plot.left).forEach(time => {
+            const date = new Date(time * 1000);
+            el('text', { x: x(time), y: plot.bottom + 18, 'text-anchor': 'middle', class: 'axis-label' }, svg)
+                .textContent = `${monthNames[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+        });
+        el('line', { x1: plot.left, x2: plot.right, y1: plot.bottom, y2: plot.bottom, stroke: theme.muted }, svg);
+        el('line', { x1: plot.left, x2: plot.left, y1: plot.top, y2: plot.bottom, stroke: theme.muted }, svg);
+
+        const series = el('g', { 'clip-path': 'url(#plot)' }, svg);
+        el('path', {
+            d: points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${x(p.time)},${y(p[state.metric])}`).join(' '),
+            fill: 'none',
+            stroke: theme.line,
+            'stroke-width': 1.5,
+            'stroke-dasharray': state.metric === 'performance' ? '4 3' : 'none'
+        }, series);
+        points.forEach((p, i) => {
+            el('circle', {
+                cx: x(p.time),
+                cy: y(p[state.metric]),
+                r: i === state.hover ? 5 : 3,
+                fill: theme.line,
+                stroke: i === state.hover ? '#fff' : 'none'
+            }, series);
+        });
+
+        layout = { plot, x, y };
+    }
+
+    function showTooltip(index) {
+        state.hover = index;
+        render();
+        if (index === null) {
+            tooltip.classList.remove('visible');
+            return;
+        }
+
+        const p = points[index];
+        const deltaClass = p.delta >= 0 ? 'up' : 'down';
+        tooltip.innerHTML = `
+            <strong>${escapeHtml(p.contestName)}</strong>
+            ${formatDate(p.time)}<br>
+            Rank ${p.rank} &middot; <span class="${deltaClass}">${p.delta >= 0 ? '+' : ''}${p.delta}</span><br>
+            ${state.metric === 'rating' ? `Rating ${p.rating}` : `Performance &asymp; ${p.performance}`}`;
+        tooltip.classList.add('visible');
+
+        // Flip to the other side of the point near the right and top edges
+        const px = layout.x(p.time);
+        const py = layout.y(p[state.metric]);
+        const left = px + 12 + tooltip.offsetWidth > chart.clientWidth ? px - 12 - tooltip.offsetWidth : px + 12;
+        const top = py - tooltip.offsetHeight - 12 < 0 ? py + 12 : py - tooltip.offsetHeight - 12;
+        tooltip.style.left = `${left}px`;
+        tooltip.style.top = `${top}px`;
+    }
+
+    function nearestPoint(offsetX, offsetY) {
+        let best = null;
+        let bestDistance = 20;
+        points.forEach((p, i) => {
+            if (p.time < state.from || p.time > state.to) {
+                return;
+            }
+            const distance = Math.hypot(layout.x(p.time) - offsetX, layout.y(p[state.metric]) - offsetY);
+            if (distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    function pressButton(selector, button) {
+        document.querySelectorAll(selector).forEach(other => other.setAttribute('aria-pressed', String(other === button)));
+    }
+
+    document.querySelectorAll('[data-metric]').forEach(button => {
+        button.addEventListener('click', () => {
+            state.metric = button.dataset.metric;
+            pressButton('[data-metric]', button);
+            showTooltip(null);
+        });
+    });
+
+    document.querySelectorAll('[data-range]').forEach(button => {
+        button.addEventListener('click', () => {
+            const days = button.dataset.range;
+            if (days === 'all') {
+                setRange(bounds.from, bounds.to);
+            } else {
+                setRange(bounds.to - days * DAY, bounds.to);
+            }
+            pressButton('[data-range]', button);
+            showTooltip(null);
+        });
+    });
+
+    // Zoom around the time under the cursor
+    chart.addEventListener('wheel', event => {
+        event.preventDefault();
+        const rect = chart.getBoundingClientRect();
+        const ratio = (event.clientX - rect.left - layout.plot.left) / (layout.plot.right - layout.plot.left);
+        const anchor = state.from + Math.min(Math.max(ratio, 0), 1) * (state.to - state.from);
+        const factor = event.deltaY > 0 ? 1.2 : 1 / 1.2;
+        setRange(anchor - (anchor - state.from) * factor, anchor + (state.to - anchor) * factor);
+        pressButton('[data-range]', null);
+        showTooltip(null);
+    }, { passive: false });
+
+    let drag = null;
+    chart.addEventListener('pointerdown', event => {
+        drag = { x: event.clientX, from: state.from, to: state.to };
+        chart.classList.add('dragging');
+        chart.setPointerCapture(event.pointerId);
+    });
+    chart.addEventListener('pointermove', event => {
+        if (drag) {
+            const secondsPerPixel = (drag.to - drag.from) / (layout.plot.right - layout.plot.left);
+            const shift = (drag.x - event.clientX) * secondsPerPixel;
+            setRange(drag.from + shift, drag.to + shift);
+            pressButton('[data-range]', null);
+            showTooltip(null);
+            return;
+        }
+        const rect = chart.getBoundingClientRect();
+        const index = nearestPoint(event.clientX - rect.left, event.clientY - rect.top);
+        if (index !== state.hover) {
+            showTooltip(index);
+        }
+    });
+    const endDrag = () => {
+        drag = null;
+        chart.classList.remove('dragging');
+    };
+    chart.addEventListener('pointerup', endDrag);
+    chart.addEventListener('pointercancel', endDrag);
+    chart.addEventListener('pointerleave', () => showTooltip(null));
+    chart.addEventListener('dblclick', () => {
+        setRange(bounds.from, bounds.to);
+        pressButton('[data-range]', document.querySelector('[data-range="all"]'));
+        showTooltip(null);
+    });
+
+    window.addEventListener('resize', () => showTooltip(null));
+
+    render();
+}());
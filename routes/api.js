@@ -0,0 +1,120 @@
+// routes/api.js
+// JSON version of the data behind the cards, with the same shape for every platform.
+const express = require('express');
+const router = express.Router();
+const { getPlatform } = require('../platforms');
+const { DEFAULT_TIMEZONE, isValidTimeZone, computeStreaks } = require('../utils/streaks');
+const { errorTypes, toAppError } = require('../utils/errors');
+const { rateLimiter } = require('../utils/ratelimit');
+
+// Request errors specific to the API; failures while fetching use the types in utils/errors.
+// All codes are documented in the README under "JSON API".
+const requestErrors = {
+    INVALID_PLATFORM: 404,
+    INVALID_TIMEZONE: 400
+};
+
+function sendError(res, code, status, message) {
+    res.status(status).json({ error: { code, message } });
+}
+
+// Infinite tier bounds become null so they survive JSON.stringify
+function serializeTier(tier) {
+    return {
+        name: tier.name,
+        color: tier.color,
+        min: Number.isFinite(tier.min) ? tier.min : null,
+        max: Number.isFinite(tier.max) ? tier.max : null
+    };
+}
+
+async function buildUserData(adapter, handle, timeZone) {
+    const [profile, history, activity] = await Promise.all([
+        adapter.fetchProfile(handle),
+        adapter.fetchRatingHistory(handle),
+        adapter.fetchActivity(handle, { timeZone })
+    ]);
+    const streaks = computeStreaks(activity, { timeZone });
+    const rated = profile.contests > 0;
+
+    return {
+        platform: adapter.id,
+        platformName: adapter.name,
+        handle: profile.handle,
+        name: profile.name,
+        avatar: profile.avatar,
+        country: profile.country,
+        organization: profile.organization,
+        rating: {
+            current: profile.rating,
+            max: profile.maxRating,
+            rank: profile.rank,
+            maxRank: profile.maxRank,
+            tier: rated ? serializeTier(adapter.getTier(profile.rating)) : null,
+            maxTier: rated ? serializeTier(adapter.getTier(profile.maxRating)) : null
+        },
+        contests: profile.contests,
+        solved: profile.solved,
+        ratingHistory: history,
+        activity: {
+            unit: adapter.activityUnit || 'solved',
+            timeZone,
+            days: Object.fromEntries([...activity].sort(([a], [b]) => a.localeCompare(b)))
+        },
+        streaks: {
+            current: streaks.currentStreak,
+            max: streaks.maxStreak,
+            lastYear: streaks.lastYearStreak,
+            lastMonth: streaks.lastMonthStreak
+        },
+        generatedAt: new Date().toISOString()
+    };
+}
+
+// The API is meant to be called from other origins (dashboards, bots)
+router.use((req, res, next) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+        return res.sendStatus(204);
+    }
+    next();
+});
+
+router.use(rateLimiter.middleware((req, res, error) => {
+    res.setHeader('Cache-Control', 'no-store');
+    sendError(res, error.type, error.status, error.message);
+}));
+
+router.get('/:platform/:handle', async (req, res) => {
+    const adapter = getPlatform(req.params.platform);
+    if (!adapter) {
+        return sendError(res, 'INVALID_PLATFORM', requestErrors.INVALID_PLATFORM, `Unknown platform "${req.params.platform}"`);
+    }
+
+    const timeZone = req.query.tz || DEFAULT_TIMEZONE;
+    if (!isValidTimeZone(timeZone)) {
+        return sendError(res, 'INVALID_TIMEZONE', requestErrors.INVALID_TIMEZONE, `Unknown time zone "${timeZone}"`);
+    }
+
+    try {
+        const data = await buildUserData(adapter, req.params.handle, timeZone);
+        res.setHeader('Cache-Control', 'public, max-age=300');
+        res.json(data);
+    } catch (error) {
+        const appError = toAppError(error);
+        const { cacheTtl } = errorTypes[appError.type];
+
+        if (appError.type === 'INTERNAL_ERROR') {
+            console.error(`${adapter.name} API error:`, appError.cause);
+        }
+        if (appError.retryAfter) {
+            res.setHeader('Retry-After', appError.retryAfter);
+        }
+        res.setHeader('Cache-Control', cacheTtl > 0 ? `public, max-age=${cacheTtl}` : 'no-store');
+        sendError(res, appError.type, appError.status, appError.message);
+    }
+});
+
+module.exports = router;
@@ -1,152 +1,140 @@
 // routes/cf.js
 const express = require('express');
-const axios = require('axios');
-const crypto = require('crypto');
 const router = express.Router();
-const { escapeXml, formatTimeAgo, getImageAsBase64, errorSVG } = require('../utils/helpers');
-
-const API_KEY = process.env.API_KEY;
-const API_SECRET = process.env.API_SECRET;
-const cache = new Map();
-const CACHE_DURATION = 5 * 60 * 1000;
-
-
-function generateApiSig(methodName, params) {
-    const rand = Math.random().toString(36).substring(2, 8);
-    const sortedParams = Object.entries(params)
-        .sort(([a], [b]) => a.localeCompare(b))
-        .map(([key, value]) => `${key}=${value}`)
-        .join('&');
-    
-    const stringToHash = `${rand}/${methodName}?${sortedParams}#${API_SECRET}`;
-    const hash = crypto.createHash('sha512').update(stringToHash).digest('hex');
-    return `${rand}${hash}`;
+const { escapeXml, formatTimeAgo } = require('../utils/helpers');
+const { getImage } = require('../utils/images');
+const { DEFAULT_TIMEZONE, toDayKey, shiftDayKey, computeStreaks } = require('../utils/streaks');
+const { parseCalendarOptions, calendarRange, buildCalendar, renderCalendar, renderLegend, calendarWidth } = require('../utils/calendar');
+const { resolveTheme, cardBackground, parseBoolean } = require('../utils/themes');
+const { sendCardIfChanged, sendErrorCard } = require('../utils/render');
+const { invalidRequestError, notFoundError } = require('../utils/errors');
+const { parseProfileOptions, profileLayout, renderStatBoxes } = require('../utils/profile');
+const { measureText, truncateText } = require('../utils/text');
+const { deriveBadges, badgeGridSize, renderBadgeGrid } = require('../utils/badges');
+const { DRAW_DURATION, parseAnimate, animationStyles, animationDelay } = require('../utils/animation');
+const codeforces = require('../platforms/codeforces');
+const { getCodeforcesData } = codeforces;
+
+// Line colors for comparison graphs, one per handle
+const compareColors = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd'];
+const MAX_COMPARE_HANDLES = compareColors.length;
+const MAX_LAST_CONTESTS = 1000;
+
+// Chart styles for the tags card
+const tagCharts = ['bar', 'radar'];
+
+// Rating change colors, readable on light and dark themes
+const deltaColors = { up: '#43a047', down: '#e53935' };
+
+// `YYYY-MM` or `YYYY-MM-DD` in UTC, as Unix seconds. An end date covers its whole month or day.
+function parseDateParam(value, name, { end = false } = {}) {
+    const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(value);
+    if (match) {
+        const [year, month, day] = [match[1], match[2], match[3] || '01'].map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+
+        if (date.getUTCMonth() === month - 1 && date.getUTCDate() === day) {
+            if (end && match[3]) {
+                date.setUTCDate(day + 1);
+            } else if (end) {
+                date.setUTCMonth(month);
+            }
+            return date.getTime() / 1000;
+        }
+    }
+    throw invalidRequestError(`${name} must be a date like 2024-01 or 2024-01-31`);
 }
 
-async function getCodeforcesData(handle) {
-    const cacheKey = `user_${handle}`;
-    if (cache.has(cacheKey)) {
-        const { data, timestamp } = cache.get(cacheKey);
-        if (Date.now() - timestamp < CACHE_DURATION) {
-            return data;
+// Graph query options: `from`/`to` date windows, `last=N` contests and the optional overlays
+function parseGraphOptions(query = {}) {
+    const options = {
+        from: query.from ? parseDateParam(String(query.from), 'from') : -Infinity,
+        to: query.to ? parseDateParam(String(query.to), 'to', { end: true }) : Infinity,
+        last: null,
+        showExtremes: parseBoolean(query.show_extremes),
+        showTiers: parseBoolean(query.show_tiers),
+        showDeltas: parseBoolean(query.show_deltas),
+        animate: parseAnimate(query)
+    };
+
+    if (query.last !== undefined) {
+        const last = Number(query.last);
+        if (!Number.isInteger(last) || last < 1 || last > MAX_LAST_CONTESTS) {
+            throw invalidRequestError(`last must be a number of contests between 1 and ${MAX_LAST_CONTESTS}`);
         }
+        options.last = last;
     }
+    if (options.from >= options.to) {
+        throw invalidRequestError('from must be before to');
+    }
+    return options;
+}
 
-    const maxRetries = 3;
-    let lastError;
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            const currentTime = Math.floor(Date.now() / 1000);
-            const params = {
-                apiKey: API_KEY,
-                time: currentTime,
-                handles: handle
-            };
-            
-            const apiSig = generateApiSig('user.info', params);
-            
-            if (attempt > 1) {
-                await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-            }
-
-            const [userInfo, userRating, userStatus] = await Promise.all([
-                axios.get(`https://codeforces.com/api/user.info?handles=${handle}&apiKey=${API_KEY}&time=${currentTime}&apiSig=${apiSig}`, {
-                    timeout: 10000,
-                    headers: {
-                        'User-Agent': 'Codeforces-Profile-Card/1.0'
-                    }
-                }),
-                axios.get(`https://codeforces.com/api/user.rating?handle=${handle}`, {
-                    timeout: 10000,
-                    headers: {
-                        'User-Agent': 'Codeforces-Profile-Card/1.0'
-                    }
-                }),
-                axios.get(`https://codeforces.com/api/user.status?handle=${handle}`, {
-                    timeout: 10000,
-                    headers: {
-                        'User-Agent': 'Codeforces-Profile-Card/1.0'
-                    }
-                })
-            ]);
-
-            if (userInfo.data.status !== 'OK' || userRating.data.status !== 'OK' || userStatus.data.status !== 'OK') {
-                throw new Error('Invalid response from Codeforces API');
-            }
-
-            const data = {
-                user: userInfo.data.result[0],
-                ratings: userRating.data.result,
-                submissions: userStatus.data.result
-            };
+// Contests inside the requested window, newest `last` of them if set
+function selectContests(ratings, { from = -Infinity, to = Infinity, last = null } = {}) {
+    const inWindow = ratings.filter(r => r.ratingUpdateTimeSeconds >= from && r.ratingUpdateTimeSeconds < to);
+    return last ? inWindow.slice(-last) : inWindow;
+}
 
-            cache.set(cacheKey, {
-                data,
-                timestamp: Date.now()
-            });
+// Stats the profile card can show; the first five are the default grid
+const profileStatKeys = ['rating', 'contests', 'contribution', 'solved', 'friends', 'maxRating', 'rank', 'streak'];
+const defaultProfileStats = profileStatKeys.slice(0, 5);
 
-            return data;
-        } catch (error) {
-            lastError = error;
-            if (error.response && error.response.status >= 400 && error.response.status < 500) {
-                throw new Error(`Codeforces API error: ${error.response.status} - ${error.response.data?.comment || 'User not found'}`);
-            }
-            if (attempt === maxRetries) {
-                throw new Error(`Failed to fetch Codeforces data after ${maxRetries} attempts: ${error.message}`);
-            }
-        }
-    }
-}
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
 
-async function generateProfileSVG(data) {
+async function generateProfileSVG(data, options = {}) {
     try {
+        const {
+            theme = resolveTheme(),
+            show = null,
+            customTitle = null,
+            activity = new Map(),
+            animate = false
+        } = options;
         if (!data || !data.user) {
             throw new Error('Invalid data format');
         }
 
-        const width = 500;
-        const height = 300;
+        const layout = profileLayout(options);
+        const compact = layout.name === 'compact';
+        const width = layout.width;
+        const height = compact ? 175 : 300;
 
         const { user } = data;
         const maxRating = user.maxRating || 0;
         const currentRating = user.rating || 0;
         const rank = user.rank || 'unrated';
-        const maxRank = user.maxRank || 'unrated';
         const contribution = user.contribution || 0;
         const lastOnline = formatTimeAgo(user.lastOnlineTimeSeconds);
         const registered = formatTimeAgo(user.registrationTimeSeconds);
-        
-        // Ensure avatar URL is absolute and convert to base64
-        let avatar = user.titlePhoto || 'https://userpic.codeforces.org/no-title.jpg';
-        if (!avatar.startsWith('http')) {
-            avatar = `https:${avatar}`;
-        }
-        
-        // Convert avatar to base64 with error handling
-        let avatarBase64;
-        try {
-            avatarBase64 = await getImageAsBase64(avatar);
-        } catch (error) {
-            avatarBase64 = 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSIxMDAiIGhlaWdodD0iMTAwIiB2aWV3Qm94PSIwIDAgMTAwIDEwMCI+PHJlY3Qgd2lkdGg9IjEwMCIgaGVpZ2h0PSIxMDAiIGZpbGw9IiNlZWUiLz48dGV4dCB4PSI1MCIgeT0iNTAiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzY2NiIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPk5vIEltYWdlPC90ZXh0Pjwvc3ZnPg==';
+
+        const rankColor = rank === 'unrated' ? theme.title : codeforces.getRankColor(rank);
+        const titleColor = theme.titleOverride || rankColor;
+
+        // Ensure avatar URL is absolute
+        let avatar = null;
+        if (layout.avatar) {
+            const avatarUrl = user.titlePhoto || 'https://userpic.codeforces.org/no-title.jpg';
+            avatar = await getImage(avatarUrl.startsWith('http') ? avatarUrl : `https:${avatarUrl}`, 'avatar');
         }
 
-        // Color mapping for ranks
-        const rankColors = {
-            'newbie': '#808080',
-            'pupil': '#008000',
-            'specialist': '#03A89E',
-            'expert': '#0000FF',
-            'candidate master': '#AA00AA',
-            'master': '#FF8C00',
-            'international master': '#FF8C00',
-            'grandmaster': '#FF0000',
-            'international grandmaster': '#FF0000',
-            'legendary grandmaster': '#FF0000',
-            'unrated': '#000000'
+        const statValues = {
+            rating: { label: 'Current Rating', value: currentRating },
+            contests: { label: 'Contests', value: data.ratings ? data.ratings.length : 0 },
+            contribution: { label: 'Contribution', value: `${contribution > 0 ? '+' : ''}${contribution}`, color: contribution > 0 ? 'green' : 'red' },
+            solved: { label: 'Problems Solved', value: new Set(data.submissions.filter(sub => sub.verdict === 'OK').map(sub => codeforces.getProblemKey(sub.problem))).size },
+            friends: { label: 'Friend of', value: user.friendOfCount || 0 },
+            maxRating: { label: 'Max Rating', value: maxRating },
+            rank: { label: 'Rank', value: capitalize(rank), color: titleColor },
+            streak: { label: 'Day Streak', value: computeStreaks(activity).currentStreak }
         };
+        const stats = (show || defaultProfileStats.slice(0, layout.slots.length)).map(key => statValues[key]);
 
-        const rankColor = rankColors[rank.toLowerCase()] || '#000000';
+        // Header text stops short of the avatar; the group below starts at x=20
+        const textWidth = layout.textRight - 20;
+        const location = [user.city, user.country].filter(Boolean).join(', ') || 'No location';
+        const organization = user.organization ? `@ ${user.organization}` : 'No organization';
+        const gridY = compact ? 70 : 100;
 
         return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
         <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" 
@@ -156,154 +144,113 @@ async function generateProfileSVG(data) {
                 @import url('https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;600;700&amp;display=swap');
                 .title { font: 700 24px 'Open Sans', sans-serif; }
                 .rank { font: 700 20px 'Open Sans', sans-serif; }
-                .info { font: 400 14px 'Open Sans', sans-serif; fill: #444; }
-                .stat { font: 600 16px 'Open Sans', sans-serif; }
-                .small-stat { font: 400 12px 'Open Sans', sans-serif; fill: #666; }
-                .label { font: 400 11px 'Open Sans', sans-serif; fill: #666; }
-                .time-info { font: 400 12px 'Open Sans', sans-serif; fill: #666; }
+                .info { font: 400 14px 'Open Sans', sans-serif; fill: ${theme.text}; }
+                .stat { font: 600 16px 'Open Sans', sans-serif; fill: ${theme.title}; }
+                .small-stat { font: 400 12px 'Open Sans', sans-serif; fill: ${theme.muted}; }
+                .label { font: 400 11px 'Open Sans', sans-serif; fill: ${theme.muted}; }
+                .time-info { font: 400 12px 'Open Sans', sans-serif; fill: ${theme.muted}; }${animate ? animationStyles() : ''}
             </style>
 
             <!-- Background with enhanced gradient -->
             <defs>
                 <linearGradient id="backgroundGrad" x1="0%" y1="0%" x2="100%" y2="100%">
-                    <stop offset="0%" style="stop-color:#ffffff;stop-opacity:1" />
-                    <stop offset="100%" style="stop-color:#f0f2f5;stop-opacity:1" />
+                    <stop offset="0%" style="stop-color:${theme.background};stop-opacity:1" />
+                    <stop offset="100%" style="stop-color:${theme.backgroundAlt};stop-opacity:1" />
                 </linearGradient>
+                <filter id="shadow" x="-20%" y="-20%" width="140%" height="140%">
+                    <feDropShadow dx="0" dy="2" stdDeviation="3" flood-color="#000" flood-opacity="0.15"/>
+                </filter>
+                <filter id="cardShadow" x="-10%" y="-10%" width="120%" height="120%">
+                    <feDropShadow dx="0" dy="2" stdDeviation="2" flood-color="#000" flood-opacity="0.1"/>
+                </filter>
             </defs>
-            <rect width="${width}" height="${height}" fill="url(#backgroundGrad)"/>
+            ${cardBackground(theme, width, height, 'url(#backgroundGrad)')}
 
             <!-- Decorative Elements -->
-            <rect x="0" y="0" width="500" height="80" fill="${rankColor}" opacity="0.15"/>
-            <path d="M0,80 L500,80" stroke="#eee" stroke-width="1"/>
+            <rect x="0" y="0" width="${width}" height="80" fill="${rankColor}" opacity="0.15"/>
+            <path d="M0,80 L${width},80" stroke="${theme.border}" stroke-width="1"/>
 
             <!-- User Info Section -->
             <g transform="translate(20, 25)">
                 <!-- Rank and Handle -->
-                <text class="rank" fill="${rankColor}" x="0" y="20">${escapeXml(rank.charAt(0).toUpperCase() + rank.slice(1))}</text>
-                <text class="title" fill="${rankColor}" x="0" y="45">${escapeXml(user.handle)}</text>
+                <text class="rank" fill="${titleColor}" x="0" y="20">${escapeXml(capitalize(rank))}</text>
+                <text class="title" fill="${titleColor}" x="0" y="45">${escapeXml(truncateText(customTitle || user.handle, textWidth, { size: 24, weight: 700 }))}</text>
 
+                ${compact ? '' : `
                 <!-- Location and Organization -->
                 <g transform="translate(0, 60)">
                     <!-- Location with icon -->
                     <g>
                         <path d="M7,0C3.13,0,0,3.13,0,7c0,5.25,7,13,7,13s7-7.75,7-13C14,3.13,10.87,0,7,0z M7,9.5C5.62,9.5,4.5,8.38,4.5,7 S5.62,4.5,7,4.5S9.5,5.62,9.5,7S8.38,9.5,7,9.5z" 
-                              fill="#666666" transform="translate(0, -3) scale(0.9)"/>
-                        <text class="info" x="20" y="10">
-                            ${user.city || user.country ? 
-                                `${[user.city, user.country].filter(Boolean).join(', ')}` : 
-                                'No location'}
-                        </text>
+                              fill="${theme.muted}" transform="translate(0, -3) scale(0.9)"/>
+                        <text class="info" x="20" y="10">${escapeXml(truncateText(location, textWidth - 20, { size: 14 }))}</text>
                     </g>
                     
                     <!-- Organization with icon -->
                     <g transform="translate(0, 18)">
                         <path d="M12,0H4C2.9,0,2,0.9,2,2v14c0,1.1,0.9,2,2,2h8c1.1,0,2-0.9,2-2V2C14,0.9,13.1,0,12,0z M12,16H4V2h8V16z M6,4h4v2H6V4z M6,8h4v2H6V8z M6,12h4v2H6V12z"
-                              fill="#666666" transform="translate(0, -2) scale(0.8)"/>
-                        <text class="info" x="20" y="10">
-                            ${user.organization ? 
-                                `@ ${escapeXml(user.organization)}` : 
-                                'No organization'}
-                        </text>
-                    </g>
-                </g>
-
-                <!-- Stats Grid - Only 4 blocks -->
-                <g transform="translate(0, 100)">
-                    <!-- First Row -->
-                    <g>
-                        <rect x="0" y="0" width="150" height="60" fill="#ffffff" rx="8" filter="url(#cardShadow)"/>
-                        <text class="stat" x="75" y="25" text-anchor="middle">${currentRating}</text>
-                        <text class="label" x="75" y="45" text-anchor="middle">Current Rating</text>
-                    </g>
-                    <g transform="translate(160, 0)">
-                        <rect x="0" y="0" width="150" height="60" fill="#ffffff" rx="8" filter="url(#cardShadow)"/>
-                        <text class="stat" x="75" y="25" text-anchor="middle">${data.ratings ? data.ratings.length : 0}</text>
-                        <text class="label" x="75" y="45" text-anchor="middle">Contests</text>
+                              fill="${theme.muted}" transform="translate(0, -2) scale(0.8)"/>
+                        <text class="info" x="20" y="10">${escapeXml(truncateText(organization, textWidth - 20, { size: 14 }))}</text>
                     </g>
                 </g>
+                `}
 
-                <!-- Second Row -->
-                <g transform="translate(0, 170)">
-                    <g>
-                        <rect x="0" y="0" width="150" height="60" fill="#ffffff" rx="8" filter="url(#cardShadow)"/>
-                        <text class="stat" x="75" y="25" text-anchor="middle" fill="${contribution > 0 ? 'green' : 'red'}">${contribution > 0 ? '+' : ''}${contribution}</text>
-                        <text class="label" x="75" y="45" text-anchor="middle">Contribution</text>
-                    </g>
-                    <g transform="translate(160, 0)">
-                        <rect x="0" y="0" width="150" height="60" fill="#ffffff" rx="8" filter="url(#cardShadow)"/>
-                        <text class="stat" x="75" y="25" text-anchor="middle">${
-                            new Set(data.submissions
-                                .filter(sub => sub.verdict === 'OK')
-                                .map(sub => sub.problem.contestId + '-' + sub.problem.index)
-                            ).size || 0
-                        }</text>
-                        <text class="label" x="75" y="45" text-anchor="middle">Problems Solved</text>
-                    </g>
-                    <g transform="translate(320, 0)">
-                        <rect x="0" y="0" width="150" height="60" fill="#ffffff" rx="8" filter="url(#cardShadow)"/>
-                        <text class="stat" x="75" y="25" text-anchor="middle">${user.friendOfCount || 0}</text>
-                        <text class="label" x="75" y="45" text-anchor="middle">Friend of</text>
-                    </g>
+                <!-- Stats Grid -->
+                <g transform="translate(0, ${gridY})">
+                    ${renderStatBoxes(stats, layout.slots, `fill="${theme.surface}" filter="url(#cardShadow)"`, { animate })}
                 </g>
 
+                ${compact ? '' : `
                 <!-- Time Info at Bottom -->
                 <g transform="translate(0, 250)">
                     <text class="time-info" x="0" y="5">Last online: ${escapeXml(lastOnline)}</text>
                     <text class="time-info" x="165" y="5">Registered: ${escapeXml(registered)}</text>
                 </g>
+                `}
             </g>
 
+            ${layout.avatar ? `
             <!-- Profile Picture with Enhanced Shadow -->
-            <defs>
-                <filter id="shadow" x="-20%" y="-20%" width="140%" height="140%">
-                    <feDropShadow dx="0" dy="2" stdDeviation="3" flood-color="#000" flood-opacity="0.15"/>
-                </filter>
-                <filter id="cardShadow" x="-10%" y="-10%" width="120%" height="120%">
-                    <feDropShadow dx="0" dy="2" stdDeviation="2" flood-color="#000" flood-opacity="0.1"/>
-                </filter>
-            </defs>
             <clipPath id="circleClip">
-                <circle cx="430" cy="70" r="50"/>
+                <circle cx="${layout.avatar.cx}" cy="${layout.avatar.cy}" r="${layout.avatar.r}"/>
             </clipPath>
-            <circle cx="430" cy="70" r="50" fill="#fff" filter="url(#shadow)"/>
-            <image x="380" y="20" width="100" height="100" href="${avatarBase64}" 
+            <circle cx="${layout.avatar.cx}" cy="${layout.avatar.cy}" r="${layout.avatar.r}" fill="${theme.surface}" filter="url(#shadow)"/>
+            <image x="${layout.avatar.cx - layout.avatar.r}" y="${layout.avatar.cy - layout.avatar.r}" width="${layout.avatar.r * 2}" height="${layout.avatar.r * 2}" href="${avatar}" 
                    clip-path="url(#circleClip)" preserveAspectRatio="xMidYMid slice"/>
-            <circle cx="430" cy="70" r="50" fill="none" stroke="${rankColor}" stroke-width="2"/>
+            <circle cx="${layout.avatar.cx}" cy="${layout.avatar.cy}" r="${layout.avatar.r}" fill="none" stroke="${rankColor}" stroke-width="2"/>
+            ` : ''}
 
-            <!-- Max Rating Badge Below Profile -->
-            <g transform="translate(380, 130)">
-                <text class="small-stat" x="50" y="13" text-anchor="middle" font-size="10">max. ${maxRating}</text>
-            </g>
+            ${compact ? '' : `
+            <!-- Max Rating Badge, below the profile picture or in the header without one -->
+            <text class="small-stat" x="${layout.avatar ? layout.avatar.cx : width - 20}" y="${layout.avatar ? 143 : 45}" text-anchor="${layout.avatar ? 'middle' : 'end'}" font-size="10">max. ${maxRating}</text>
+            `}
         </svg>`;
     } catch (error) {
         throw new Error(`Failed to generate profile SVG: ${error.message}`);
     }
 }
 
-function generateGraphSVG(data) {
+function generateGraphSVG(data, options = {}) {
     try {
+        const {
+            theme = resolveTheme(),
+            compare = [],
+            showExtremes = false,
+            showTiers = false,
+            showDeltas = false,
+            animate = false
+        } = options;
         const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        const { user, ratings } = data;
+        const { user } = data;
         const rank = user.rank || 'unrated';
         const currentRating = user.rating || 0;
         const maxRating = user.maxRating || 0;
         
-        // Color mapping for ranks
-        const rankColors = {
-            'newbie': '#808080',
-            'pupil': '#008000',
-            'specialist': '#03A89E',
-            'expert': '#0000FF',
-            'candidate master': '#AA00AA',
-            'master': '#FF8C00',
-            'international master': '#FF8C00',
-            'grandmaster': '#FF0000',
-            'international grandmaster': '#FF0000',
-            'legendary grandmaster': '#FF0000',
-            'unrated': '#000000'
-        };
+        const rankColor = rank === 'unrated' ? theme.title : codeforces.getRankColor(rank);
 
-        const rankColor = rankColors[rank.toLowerCase()] || '#000000';
+        // Comparison users share the axes with the primary user and get a distinct line color each
+        const datasets = [data, ...compare];
+        const isCompare = datasets.length > 1;
 
         // Generate rating graph
         const graphWidth = 900;
@@ -315,29 +262,53 @@ function generateGraphSVG(data) {
             left: 50
         };
 
-        // Ensure ratings is an array and sort it
-        const ratings_sorted = Array.isArray(ratings) ? [...ratings].sort((a, b) => a.ratingUpdateTimeSeconds - b.ratingUpdateTimeSeconds) : [];
-        
-        console.log('Sorted ratings count:', ratings_sorted.length);
+        // Ensure ratings are arrays and sort them; `history` keeps contests outside the window
+        const series = datasets.map((dataset, index) => {
+            const history = Array.isArray(dataset.ratings)
+                ? [...dataset.ratings].sort((a, b) => a.ratingUpdateTimeSeconds - b.ratingUpdateTimeSeconds)
+                : [];
+            return {
+                user: dataset.user,
+                color: isCompare ? compareColors[index % compareColors.length] : rankColor,
+                history,
+                ratings: selectContests(history, options)
+            };
+        });
+
+        // Delta bars get their own band under the rating plot
+        const withDeltas = showDeltas && !isCompare;
+        const plotBottom = withDeltas ? 300 : 385;
+
+        // Every contest of every user, in time order, drives the shared axes
+        const ratings_sorted = series
+            .flatMap(s => s.ratings)
+            .sort((a, b) => a.ratingUpdateTimeSeconds - b.ratingUpdateTimeSeconds);
 
         if (ratings_sorted.length === 0) {
-            console.log('No ratings found for user:', user.handle);
+            const handles = series.map(s => s.user.handle).join(', ');
+            const hasHistory = series.some(s => s.history.length > 0);
             return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
             <svg width="900" height="420" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
-                <rect width="900" height="420" rx="50" ry="50" fill="#f8f9fa"/>
-                <text x="450" y="210" text-anchor="middle" font-family="Open Sans" font-size="16">
-                    No rating history available for ${escapeXml(user.handle)}
+                ${cardBackground(theme, 900, 420)}
+                <text x="450" y="210" text-anchor="middle" font-family="Open Sans" font-size="16" fill="${theme.text}">
+                    ${hasHistory ? 'No contests in the selected range for' : 'No rating history available for'} ${escapeXml(handles)}
                 </text>
             </svg>`;
         }
 
-        // Calculate user's minimum rating
+        // Calculate the lowest rating across all users
         const userMinRating = Math.min(...ratings_sorted.map(r => r.newRating));
         
-        // Calculate dynamic max rating (round up to nearest 100)
-        const dynamicMaxRating = Math.ceil((Math.max(maxRating, 3000) + 200) / 100) * 100;
+        // Calculate dynamic max rating (round up to nearest 100). A date or contest window
+        // is scaled to its own contests instead of the career maximum.
+        const isWindowed = series.some(s => s.ratings.length < s.history.length);
+        const highestMaxRating = isWindowed
+            ? Math.max(...ratings_sorted.map(r => r.newRating))
+            : Math.max(...series.map(s => s.user.maxRating || 0));
+        const dynamicMaxRating = Math.ceil((Math.max(highestMaxRating, isWindowed ? 0 : 3000) + 200) / 100) * 100;
         
-        // Rating ranges for background colors (in reverse order for proper layering)
+        // Rating ranges for background colors (in reverse order for proper layering),
+        // leaving out tiers entirely above the plot
         const ratingRanges = [
             { min: 3000, max: dynamicMaxRating, color: '#FF0000', opacity: 0.1 },
             { min: 2400, max: 3000, color: '#FF8C00', opacity: 0.1 },
@@ -347,56 +318,155 @@ function generateGraphSVG(data) {
             { min: 1400, max: 1600, color: '#008000', opacity: 0.1 },
             { min: 1200, max: 1400, color: '#808080', opacity: 0.1 },
             { min: userMinRating, max: 1200, color: '#CCCCCC', opacity: 0.1 }
-        ];
+        ].filter(range => range.min < dynamicMaxRating);
 
         // Calculate graph scales
-        const timeRange = ratings_sorted.length > 0 ? {
+        const timeRange = {
             min: ratings_sorted[0].ratingUpdateTimeSeconds,
             max: ratings_sorted[ratings_sorted.length - 1].ratingUpdateTimeSeconds
-        } : { min: 0, max: 1 };
+        };
 
         const ratingRange = {
             min: userMinRating,
             max: dynamicMaxRating
         };
 
-        // Generate graph points
-        let graphPoints = '';
-        let dots = '';
-        
-        if (ratings_sorted.length > 0) {
-            graphPoints = ratings_sorted.map((r, i) => {
-                const x = ((r.ratingUpdateTimeSeconds - timeRange.min) / (timeRange.max - timeRange.min)) * (graphWidth - padding.left - padding.right) + padding.left;
-                const y = 385 - ((r.newRating - ratingRange.min) / (ratingRange.max - ratingRange.min)) * 365;
-                return `${i === 0 ? 'M' : 'L'} ${x},${y}`;
-            }).join(' ');
-
-            // Generate dots and tooltips together
-            dots = ratings_sorted.map((r, i) => {
-                const x = ((r.ratingUpdateTimeSeconds - timeRange.min) / (timeRange.max - timeRange.min)) * (graphWidth - padding.left - padding.right) + padding.left;
-                const y = 385 - ((r.newRating - ratingRange.min) / (ratingRange.max - ratingRange.min)) * 365;
+        // A single contest has no time span, so it is centered
+        const xFor = time => timeRange.max === timeRange.min
+            ? padding.left + (graphWidth - padding.left - padding.right) / 2
+            : ((time - timeRange.min) / (timeRange.max - timeRange.min)) * (graphWidth - padding.left - padding.right) + padding.left;
+        const yFor = rating => plotBottom - ((rating - ratingRange.min) / (ratingRange.max - ratingRange.min)) * (plotBottom - padding.top);
+
+        const deltaOf = r => r.newRating - r.oldRating;
+        const formatDelta = delta => `${delta >= 0 ? '+' : ''}${delta}`;
+        const primary = series[0];
+
+        // Generate one curve per user, with dots and tooltips
+        const curves = series.map(s => {
+            const graphPoints = s.ratings.map((r, i) => `${i === 0 ? 'M' : 'L'} ${xFor(r.ratingUpdateTimeSeconds)},${yFor(r.newRating)}`).join(' ');
+
+            const dots = s.ratings.map(r => {
+                const x = xFor(r.ratingUpdateTimeSeconds);
+                const y = yFor(r.newRating);
                 const date = new Date(r.ratingUpdateTimeSeconds * 1000);
-                const tooltipText = `${r.newRating} - ${monthNames[date.getMonth()]} ${date.getFullYear()}`;
+                const tooltipText = `${isCompare ? `${s.user.handle}: ` : ''}${r.newRating} (${formatDelta(deltaOf(r))}) - ${monthNames[date.getMonth()]} ${date.getFullYear()}`;
+                const tooltipWidth = isCompare ? 190 : 140;
+                const details = `${r.contestName} - rank ${r.rank}, ${formatDelta(deltaOf(r))} to ${r.newRating}, ${monthNames[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
                 
                 return `
                     <g class="rating-point">
-                        <circle cx="${x}" cy="${y}" r="3" fill="${rankColor}"/>
+                        <title>${escapeXml(details)}</title>
+                        <circle cx="${x}" cy="${y}" r="3" fill="${s.color}"/>
                         <g class="tooltip" opacity="0">
-                            <rect x="${x - 50}" y="${y - 30}" width="100" height="20" rx="5" fill="black" opacity="0.8"/>
-                            <text x="${x}" y="${y - 16}" text-anchor="middle" fill="white" class="tooltip-text">${tooltipText}</text>
+                            <rect x="${x - tooltipWidth / 2}" y="${y - 30}" width="${tooltipWidth}" height="20" rx="5" fill="black" opacity="0.8"/>
+                            <text x="${x}" y="${y - 16}" text-anchor="middle" fill="white" class="tooltip-text">${escapeXml(tooltipText)}</text>
                         </g>
                     </g>
                 `;
             }).join('');
-        }
+
+            // An animated line draws itself, and its points appear once it is done
+            return animate
+                ? `<path d="${graphPoints}" class="graph-path draw-line" pathLength="1" stroke="${s.color}"/><g class="fade-in" ${animationDelay(DRAW_DURATION)}>${dots}</g>`
+                : `<path d="${graphPoints}" class="graph-path" stroke="${s.color}"/>${dots}`;
+        }).join('');
+
+        // Best and worst rating change in the window, labelled next to their points
+        const extremeMarkers = (() => {
+            if (!showExtremes || isCompare || primary.ratings.length === 0) {
+                return '';
+            }
+            const best = primary.ratings.reduce((a, b) => (deltaOf(b) > deltaOf(a) ? b : a));
+            const worst = primary.ratings.reduce((a, b) => (deltaOf(b) < deltaOf(a) ? b : a));
+            const marks = best === worst ? [{ r: best, label: 'Best' }] : [{ r: best, label: 'Best' }, { r: worst, label: 'Worst' }];
+
+            return marks.map(({ r, label }) => {
+                const x = xFor(r.ratingUpdateTimeSeconds);
+                const y = yFor(r.newRating);
+                const color = deltaOf(r) >= 0 ? deltaColors.up : deltaColors.down;
+                // Best goes above its point and worst below, unless that leaves the plot
+                const above = label === 'Best' ? y - 12 >= padding.top + 10 : y + 20 > plotBottom - 4;
+                const anchor = x < padding.left + 60 ? 'start' : x > graphWidth - padding.right - 60 ? 'end' : 'middle';
+                return `
+                    <circle cx="${x}" cy="${y}" r="6" fill="none" stroke="${color}" stroke-width="1.5"/>
+                    <text x="${x}" y="${above ? y - 12 : y + 20}" text-anchor="${anchor}" class="annotation-label" fill="${color}">${label} ${formatDelta(deltaOf(r))}</text>
+                `;
+            }).join('');
+        })();
+
+        // The contest in which each tier was first reached, over the whole career; the starting tier is not marked
+        const tierMarkers = (() => {
+            if (!showTiers || isCompare || primary.history.length === 0) {
+                return '';
+            }
+            const tierIndex = rating => codeforces.tiers.indexOf(codeforces.getTier(rating));
+            const visible = new Set(primary.ratings);
+            const labelEnds = [-Infinity, -Infinity];
+            let highest = tierIndex(primary.history[0].newRating);
+
+            return primary.history.slice(1).map(r => {
+                const index = tierIndex(r.newRating);
+                if (index >= highest) {
+                    return '';
+                }
+                highest = index;
+                if (!visible.has(r)) {
+                    return '';
+                }
+
+                const tier = codeforces.tiers[index];
+                const x = xFor(r.ratingUpdateTimeSeconds);
+                const name = tier.name.replace(/\b\w/g, c => c.toUpperCase());
+                const labelWidth = name.length * 5.5;
+                const flip = x + 4 + labelWidth > graphWidth - padding.right;
+                const start = flip ? x - 4 - labelWidth : x + 4;
+                // Labels take the first of two rows where they fit, and are dropped otherwise
+                const row = labelEnds.findIndex(end => start > end + 6);
+                let label = '';
+                if (row !== -1) {
+                    labelEnds[row] = start + labelWidth;
+                    label = `<text x="${flip ? x - 4 : x + 4}" y="${padding.top + 12 + row * 13}" text-anchor="${flip ? 'end' : 'start'}" class="tier-label" fill="${tier.color}">${escapeXml(name)}</text>`;
+                }
+                return `
+                    <line x1="${x}" y1="${padding.top}" x2="${x}" y2="${plotBottom}" stroke="${tier.color}" stroke-width="1" stroke-dasharray="3 3" opacity="0.7"/>
+                    ${label}
+                `;
+            }).join('');
+        })();
+
+        // Rating change per contest as bars around a zero line, under the rating plot
+        const deltaBars = (() => {
+            if (!withDeltas || primary.ratings.length === 0) {
+                return '';
+            }
+            const top = plotBottom + 20;
+            const bottom = 379;
+            const zero = (top + bottom) / 2;
+            const maxDelta = Math.max(1, ...primary.ratings.map(r => Math.abs(deltaOf(r))));
+            const barWidth = Math.max(1, Math.min(8, ((graphWidth - padding.left - padding.right) / primary.ratings.length) * 0.6));
+
+            const bars = primary.ratings.map(r => {
+                const delta = deltaOf(r);
+                const height = Math.max(1, (Math.abs(delta) / maxDelta) * (zero - top));
+                return `<rect x="${xFor(r.ratingUpdateTimeSeconds) - barWidth / 2}" y="${delta >= 0 ? zero - height : zero}" width="${barWidth}" height="${height}" fill="${delta >= 0 ? deltaColors.up : deltaColors.down}"/>`;
+            }).join('');
+
+            return `
+                <line x1="${padding.left}" y1="${zero}" x2="${graphWidth - padding.right}" y2="${zero}" class="grid-line"/>
+                <text x="${padding.left - 10}" y="${top}" text-anchor="end" class="axis-label" dominant-baseline="middle">+${maxDelta}</text>
+                <text x="${padding.left - 10}" y="${zero}" text-anchor="end" class="axis-label" dominant-baseline="middle">0</text>
+                <text x="${padding.left - 10}" y="${bottom}" text-anchor="end" class="axis-label" dominant-baseline="middle">-${maxDelta}</text>
+                ${bars}
+            `;
+        })();
 
         // Generate background stripes with dynamic max rating
         const backgroundStripes = ratingRanges.map((range, index) => {
-            const y1 = Math.min(385, 385 - ((range.min - ratingRange.min) / (ratingRange.max - ratingRange.min)) * 365);
-            const y2 = Math.min(385, 385 - ((range.max - ratingRange.min) / (ratingRange.max - ratingRange.min)) * 365);
+            const y1 = Math.min(plotBottom, yFor(range.min));
+            const y2 = Math.max(padding.top, Math.min(plotBottom, yFor(range.max)));
             
             // Only create stripe if it's above the x-axis
-            if (y2 < 385) {
+            if (y2 < plotBottom) {
                 return `<rect x="${padding.left}" y="${y2}" width="${graphWidth - padding.left - padding.right}" height="${y1 - y2}" fill="${range.color}" opacity="${range.opacity}"/>`;
             }
             return ''; // Skip stripes that would appear below x-axis
@@ -412,7 +482,7 @@ function generateGraphSVG(data) {
             // Always show first and last points
             const addLabel = (r, i) => {
                 const date = new Date(r.ratingUpdateTimeSeconds * 1000);
-                const x = ((r.ratingUpdateTimeSeconds - timeRange.min) / (timeRange.max - timeRange.min)) * (graphWidth - padding.left - padding.right) + padding.left;
+                const x = xFor(r.ratingUpdateTimeSeconds);
                 
                 if (i === 0 || i === ratings_sorted.length - 1 || (x - lastX >= minSpacing)) {
                     lastX = x;
@@ -423,9 +493,7 @@ function generateGraphSVG(data) {
             };
 
             // Add first label
-            if (ratings_sorted.length > 0) {
-                labels += addLabel(ratings_sorted[0], 0);
-            }
+            labels += addLabel(ratings_sorted[0], 0);
 
             // Add middle labels with spacing check
             for (let i = 1; i < ratings_sorted.length - 1; i++) {
@@ -435,8 +503,8 @@ function generateGraphSVG(data) {
             // Add last label only if it's not too close to the previous one
             if (ratings_sorted.length > 1) {
                 const lastPoint = ratings_sorted[ratings_sorted.length - 1];
-                const lastX = ((lastPoint.ratingUpdateTimeSeconds - timeRange.min) / (timeRange.max - timeRange.min)) * (graphWidth - padding.left - padding.right) + padding.left;
-                const prevX = ((ratings_sorted[lastShownIndex].ratingUpdateTimeSeconds - timeRange.min) / (timeRange.max - timeRange.min)) * (graphWidth - padding.left - padding.right) + padding.left;
+                const lastX = xFor(lastPoint.ratingUpdateTimeSeconds);
+                const prevX = xFor(ratings_sorted[lastShownIndex].ratingUpdateTimeSeconds);
                 
                 if (lastX - prevX >= minSpacing) {
                     labels += addLabel(lastPoint, ratings_sorted.length - 1);
@@ -449,12 +517,10 @@ function generateGraphSVG(data) {
         // Generate y-axis labels with dynamic max rating
         const yAxisLabels = ratingRanges.map((range, index) => {
             const isLast = index === ratingRanges.length - 1;
-            const y = isLast 
-                ? 385 
-                : 385 - ((range.min - ratingRange.min) / (ratingRange.max - ratingRange.min)) * 365;
+            const y = isLast ? plotBottom : yFor(range.min);
             
             // Only show labels and grid lines above x-axis
-            if (y <= 385) {
+            if (y <= plotBottom) {
                 return `
                     <text x="${padding.left - 10}" y="${y}" text-anchor="end" class="axis-label" dominant-baseline="middle">${range.min}</text>
                     <line x1="${padding.left}" y1="${y}" x2="${graphWidth - padding.right}" y2="${y}" class="grid-line"/>
@@ -474,17 +540,29 @@ function generateGraphSVG(data) {
         // Generate handle label
         const handleLabel = `<text x="${graphWidth - padding.right}" y="${padding.top - 5}" text-anchor="end" class="handle-label">${escapeXml(user.handle)}</text>`;
 
+        // Comparison graphs replace the header with a legend of handles and current ratings
+        const legendSpacing = (graphWidth - padding.left - padding.right) / series.length;
+        const legend = series.map((s, index) => `
+            <g transform="translate(${padding.left + index * legendSpacing}, ${padding.top - 5})">
+                <rect x="0" y="-5" width="14" height="3" fill="${s.color}"/>
+                <text x="20" y="0" class="legend-label">${escapeXml(s.user.handle)} <tspan font-weight="bold">${s.user.rating || 0}</tspan></text>
+            </g>
+        `).join('');
+
         return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
         <svg width="${graphWidth}" height="${graphHeight}" viewBox="0 0 ${graphWidth} ${graphHeight}" 
              style="border-radius:15px; box-shadow: 0 4px 10px rgba(0, 0, 0, 0.2);" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
             <style>
                 @import url('https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;600;700&amp;display=swap');
-                .axis-label { font: 400 11px 'Open Sans', sans-serif; fill: #666; }
-                .handle-label { font: 600 14px 'Open Sans', sans-serif; fill: #666; }
-                .ratings-label { font: 600 14px 'Open Sans', sans-serif; fill: #000; }
-                .graph-path { stroke: ${rankColor}; stroke-width: 1.5; fill: none; }
-                .grid-line { stroke: #ddd; stroke-width: 1; opacity: 0.5; }
-                .border { stroke: #000; stroke-width: 1; fill: none; }
+                .axis-label { font: 400 11px 'Open Sans', sans-serif; fill: ${theme.muted}; }
+                .handle-label { font: 600 14px 'Open Sans', sans-serif; fill: ${theme.titleOverride || theme.muted}; }
+                .ratings-label { font: 600 14px 'Open Sans', sans-serif; fill: ${theme.title}; }
+                .legend-label { font: 600 12px 'Open Sans', sans-serif; fill: ${theme.title}; }
+                .annotation-label { font: 600 11px 'Open Sans', sans-serif; }
+                .tier-label { font: 600 10px 'Open Sans', sans-serif; }
+                .graph-path { stroke-width: 1.5; fill: none; }
+                .grid-line { stroke: ${theme.grid}; stroke-width: 1; opacity: 0.5; }
+                .border { stroke: ${theme.text}; stroke-width: 1; fill: none; }
                 .tooltip-text { font: 400 11px 'Open Sans', sans-serif; }
                 .rating-point .tooltip {
                     opacity: 0;
@@ -495,9 +573,11 @@ function generateGraphSVG(data) {
                     z-index: 100;
                     opacity: 1;
                     visibility: visible;
-                }
+                }${animate ? animationStyles() : ''}
             </style>
 
+            ${cardBackground(theme, graphWidth, graphHeight)}
+
             <!-- Graph Area -->
             <g transform="translate(0, 0)">
                 <!-- Background stripes -->
@@ -512,18 +592,33 @@ function generateGraphSVG(data) {
                 <!-- Y-axis line -->
                 <line x1="50" y1="${padding.top}" x2="50" y2="385" class="border"/>
 
-                <!-- Rating curve and points with tooltips -->
-                <path d="${graphPoints}" class="graph-path"/>
-                ${dots}
+                ${withDeltas ? `
+                <!-- Rating change bars -->
+                ${deltaBars}
+                ` : ''}
+
+                <!-- First time each tier was reached -->
+                ${animate ? `<g class="fade-in" ${animationDelay(DRAW_DURATION)}>${tierMarkers}</g>` : tierMarkers}
+
+                <!-- Rating curves and points with tooltips -->
+                ${curves}
+
+                <!-- Best and worst rating changes -->
+                ${animate ? `<g class="fade-in" ${animationDelay(DRAW_DURATION)}>${extremeMarkers}</g>` : extremeMarkers}
 
                 <!-- X-axis labels -->
                 ${xAxisLabels}
 
+                ${isCompare ? `
+                <!-- Legend -->
+                ${legend}
+                ` : `
                 <!-- Ratings text -->
                 ${ratingsText}
 
                 <!-- Handle label -->
                 ${handleLabel}
+                `}
             </g>
         </svg>`;
     } catch (error) {
@@ -531,153 +626,101 @@ function generateGraphSVG(data) {
     }
 }
 
-function generateHeatmapSVG(data) {
+const heatmapMetrics = {
+    solved: { unit: 'problems', verb: 'solved' },
+    unique: { unit: 'new problems', verb: 'solved' },
+    submissions: { unit: 'submissions', verb: 'made' }
+};
+
+// Day-keyed events for a heatmap metric. Each event has a key so that counts are of distinct
+// problems (or submissions): `solved` counts a problem on every day it was accepted, `unique`
+// only on the day it was first solved.
+function getHeatmapEvents(submissions, metric, timeZone) {
+    if (metric === 'unique') {
+        return codeforces.getSolvedProblems(submissions)
+            .map(({ key, solvedAt }) => ({ day: toDayKey(solvedAt, timeZone), key }));
+    }
+    if (metric === 'submissions') {
+        return submissions.map(sub => ({ day: toDayKey(sub.creationTimeSeconds, timeZone), key: sub.id }));
+    }
+    return submissions
+        .filter(sub => sub.verdict === 'OK')
+        .map(sub => ({ day: toDayKey(sub.creationTimeSeconds, timeZone), key: codeforces.getProblemKey(sub.problem) }));
+}
+
+const countDistinct = events => new Set(events.map(event => event.key)).size;
+
+function generateHeatmapSVG(data, options = {}) {
     try {
-        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        const dayNames = ['Mon', 'Wed', 'Fri'];
-        
-        const { submissions } = data;
-        const now = new Date();
-        const oneYearAgo = new Date(now);
-        oneYearAgo.setFullYear(now.getFullYear() - 1);
-
-        // Create a map of dates to solved problems
-        const solvedByDate = new Map();
-        const acceptedSubmissions = submissions.filter(sub => sub.verdict === 'OK');
-        
-        // Count unique problems solved per day
-        acceptedSubmissions.forEach(sub => {
-            const date = new Date(sub.creationTimeSeconds * 1000);
-            if (date >= oneYearAgo) {
-                const dateKey = date.toISOString().split('T')[0];
-                if (!solvedByDate.has(dateKey)) {
-                    solvedByDate.set(dateKey, new Set());
-                }
-                solvedByDate.get(dateKey).add(sub.problem.contestId + '-' + sub.problem.index);
+        const {
+            timeZone = DEFAULT_TIMEZONE,
+            theme = resolveTheme(),
+            metric = 'solved',
+            colorScale = 'quantile',
+            colors = null,
+            animate = false
+        } = options;
+        const { unit, verb } = heatmapMetrics[metric];
+        const palette = colors || theme.heatmap;
+
+        const events = getHeatmapEvents(data.submissions, metric, timeZone);
+        const keysByDay = new Map();
+        events.forEach(({ day, key }) => {
+            if (!keysByDay.has(day)) {
+                keysByDay.set(day, new Set());
             }
+            keysByDay.get(day).add(key);
         });
+        const valuesByDay = new Map([...keysByDay].map(([day, keys]) => [day, keys.size]));
 
-        // Calculate statistics
-        const totalSolved = new Set(acceptedSubmissions.map(sub => sub.problem.contestId + '-' + sub.problem.index)).size;
-        const lastYearSolved = new Set(acceptedSubmissions
-            .filter(sub => new Date(sub.creationTimeSeconds * 1000) >= oneYearAgo)
-            .map(sub => sub.problem.contestId + '-' + sub.problem.index)).size;
-        const lastMonthSolved = new Set(acceptedSubmissions
-            .filter(sub => {
-                const date = new Date(sub.creationTimeSeconds * 1000);
-                const oneMonthAgo = new Date(now);
-                oneMonthAgo.setMonth(now.getMonth() - 1);
-                return date >= oneMonthAgo;
-            })
-            .map(sub => sub.problem.contestId + '-' + sub.problem.index)).size;
-
-        // Calculate streaks
-        let maxStreak = 0;
-        let currentStreak = 0;
-        let lastYearStreak = 0;
-        let lastMonthStreak = 0;
-
-        // Adjust dimensions and spacing
-        const cellSize = 10;
-        const cellPadding = 2;
-        const weekCount = 52; // Fixed to exactly 52 weeks
-        const dayCount = 7;
-
-        const width = 700;
-        const height = 250;
         const xOffset = 35;
         const yOffset = 35;
+        const range = calendarRange({ ...options, timeZone });
+        const weeks = buildCalendar(valuesByDay, range);
+        const width = calendarWidth(weeks, { x: xOffset });
+        const height = 250;
 
-        let svg = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+        // Calculate statistics
+        const today = toDayKey(Date.now() / 1000, timeZone);
+        const monthAgo = shiftDayKey(today, { months: -1 });
+        const total = countDistinct(events);
+        const rangeTotal = countDistinct(events.filter(({ day }) => day >= range.start && day <= range.end));
+        const lastMonthTotal = countDistinct(events.filter(({ day }) => day >= monthAgo));
+        const { maxStreak, rangeStreak, lastMonthStreak } = computeStreaks(valuesByDay, { timeZone, range });
+
+        const statsY = height - 80;
+        const streakY = height - 30;
+        const spacing = 220;
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
         <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" 
              style="border-radius:15px; box-shadow: 0 4px 10px rgba(0, 0, 0, 0.2);" 
              xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
             <style>
                 @import url('https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;600&amp;display=swap');
-                text { font-family: 'Open Sans', sans-serif; font-size: 10px; fill: #666; }
-                .title { font-size: 16px; font-weight: 600; fill: #333; }
-                .subtitle { font-size: 12px; fill: #666; }
-                .month-label { font-size: 10px; fill: #666; }
-                .day-label { font-size: 10px; fill: #666; }
+                text { font-family: 'Open Sans', sans-serif; font-size: 10px; fill: ${theme.muted}; }
+                .title { font-size: 16px; font-weight: 600; fill: ${theme.title}; }
+                .subtitle { font-size: 12px; fill: ${theme.muted}; }
+                .month-label { font-size: 10px; fill: ${theme.muted}; }
+                .day-label { font-size: 10px; fill: ${theme.muted}; }${animate ? animationStyles() : ''}
             </style>
-            <rect width="${width}" height="${height}" fill="white"/>`;
-
-        // Add month labels
-        let currentMonth = new Date(oneYearAgo);
-        let lastLabelMonth = -1;
-        for (let week = 0; week < weekCount; week++) {
-            if (currentMonth.getDate() <= 7 && currentMonth.getMonth() !== lastLabelMonth) {
-                const x = xOffset + week * (cellSize + cellPadding);
-                svg += `<text x="${x}" y="${yOffset - 8}" text-anchor="middle" class="month-label">${monthNames[currentMonth.getMonth()]}</text>`;
-                lastLabelMonth = currentMonth.getMonth();
-            }
-            currentMonth.setDate(currentMonth.getDate() + 7);
-        }
+            ${cardBackground(theme, width, height)}
 
-        // Add day labels with fixed positions
-        dayNames.forEach((day, index) => {
-            let y;
-            if (index === 0) {
-                y = 54;
-            } else if (index === 1) {
-                y = 78;
-            } else if (index === 2) {
-                y = 102;
-            }
-            svg += `<text x="${xOffset - 8}" y="${y}" text-anchor="end" dominant-baseline="middle" class="day-label">${day}</text>`;
-        });
-
-        // Calculate the start and end dates for exactly 52 weeks
-        const endDate = new Date(now);
-        const startDate = new Date(endDate);
-        startDate.setDate(startDate.getDate() - (52 * 7 - 1)); // 52 weeks minus 1 day
-
-        // Add heatmap cells for exactly 52 weeks
-        let currentDate = new Date(startDate);
-        let currentWeek = 0;
-        
-        while (currentWeek < weekCount) {
-            for (let day = 0; day < dayCount; day++) {
-                const dateKey = currentDate.toISOString().split('T')[0];
-                const solved = solvedByDate.get(dateKey)?.size || 0;
-                
-                const x = xOffset + currentWeek * (cellSize + cellPadding);
-                const y = yOffset + day * (cellSize + cellPadding);
-                
-                let color = '#ebedf0';
-                if (solved > 0) {
-                    if (solved >= 5) color = '#196127';
-                    else if (solved >= 3) color = '#239a3b';
-                    else if (solved >= 2) color = '#40c463';
-                    else color = '#9be9a8';
-                }
-                
-                svg += `<rect x="${x}" y="${y}" width="${cellSize}" height="${cellSize}" fill="${color}" rx="2">
-                    <title>${solved} problems on ${dateKey}</title>
-                </rect>`;
-                
-                currentDate.setDate(currentDate.getDate() + 1);
-            }
-            currentWeek++;
-        }
+            ${renderCalendar(weeks, { palette, colorScale, unit, x: xOffset, y: yOffset, animate })}
 
-        // Add statistics with better layout and vertical spacing
-        const statsY = height - 80;
-        const streakY = height - 30;
-        const spacing = 220;
+            ${renderLegend(palette, width - 220, yOffset + 7 * 12 + 10)}
 
-        svg += `
             <g transform="translate(${xOffset}, ${statsY})">
-                <text x="0" y="0" class="title">${totalSolved} problems</text>
-                <text x="0" y="20" class="subtitle">solved for all time</text>
+                <text x="0" y="0" class="title">${total} ${unit}</text>
+                <text x="0" y="20" class="subtitle">${verb} for all time</text>
             </g>
             <g transform="translate(${xOffset + spacing}, ${statsY})">
-                <text x="0" y="0" class="title">${lastYearSolved} problems</text>
-                <text x="0" y="20" class="subtitle">solved for the last year</text>
+                <text x="0" y="0" class="title">${rangeTotal} ${unit}</text>
+                <text x="0" y="20" class="subtitle">${verb} ${range.label}</text>
             </g>
             <g transform="translate(${xOffset + spacing * 2}, ${statsY})">
-                <text x="0" y="0" class="title">${lastMonthSolved} problems</text>
-                <text x="0" y="20" class="subtitle">solved for the last month</text>
+                <text x="0" y="0" class="title">${lastMonthTotal} ${unit}</text>
+                <text x="0" y="20" class="subtitle">${verb} in the last month</text>
             </g>
 
             <g transform="translate(${xOffset}, ${streakY})">
@@ -685,81 +728,690 @@ function generateHeatmapSVG(data) {
                 <text x="0" y="20" class="subtitle">in a row max.</text>
             </g>
             <g transform="translate(${xOffset + spacing}, ${streakY})">
-                <text x="0" y="0" class="title">${lastYearStreak} days</text>
-                <text x="0" y="20" class="subtitle">in a row for the last year</text>
+                <text x="0" y="0" class="title">${rangeStreak} days</text>
+                <text x="0" y="20" class="subtitle">in a row ${range.label}</text>
             </g>
             <g transform="translate(${xOffset + spacing * 2}, ${streakY})">
                 <text x="0" y="0" class="title">${lastMonthStreak} days</text>
-                <text x="0" y="20" class="subtitle">in a row for the last month</text>
-            </g>`;
-
-        svg += '</svg>';
-        return svg;
+                <text x="0" y="20" class="subtitle">in a row in the last month</text>
+            </g>
+        </svg>`;
     } catch (error) {
         throw new Error(`Failed to generate heatmap SVG: ${error.message}`);
     }
 }
 
-router.get('/:handle/profile', async (req, res) => {
+// Unique solved problems per tag, most solved first
+function countSolvedByTag(solved) {
+    const counts = new Map();
+    solved.forEach(({ problem }) => {
+        (problem.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+function generateTagsSVG(data, options = {}) {
     try {
-        const { handle } = req.params;
-        const data = await getCodeforcesData(handle);
-        
-        if (!data || !data.user) {
-            throw new Error('No user data found');
+        const { theme = resolveTheme(), chart = 'bar' } = options;
+        const { user, submissions } = data;
+        const width = 500;
+        const height = 360;
+        const rankColor = user.rank ? codeforces.getRankColor(user.rank) : theme.title;
+        const color = theme.titleOverride || rankColor;
+
+        const solved = codeforces.getSolvedProblems(submissions);
+        const tags = countSolvedByTag(solved);
+
+        let body;
+        if (tags.length === 0) {
+            body = `<text x="${width / 2}" y="${height / 2}" text-anchor="middle" class="subtitle">No solved problems with tags yet</text>`;
+        } else if (chart === 'radar') {
+            // Radar over the most solved tags, scaled to the top tag
+            const shown = tags.slice(0, 8);
+            const maxCount = shown[0][1];
+            const center = { x: width / 2, y: 205 };
+            const radius = 105;
+            const angleFor = i => -Math.PI / 2 + (i / shown.length) * 2 * Math.PI;
+            const pointAt = (i, r) => ({
+                x: center.x + Math.cos(angleFor(i)) * r,
+                y: center.y + Math.sin(angleFor(i)) * r
+            });
+            // Radar needs at least three axes to enclose an area
+            const axes = shown.length >= 3 ? shown : [...shown, ...Array(3 - shown.length).fill(['', 0])];
+
+            const rings = [0.25, 0.5, 0.75, 1].map(level => {
+                const points = axes.map((tag, i) => pointAt(i, radius * level)).map(p => `${p.x},${p.y}`).join(' ');
+                return `<polygon points="${points}" fill="none" stroke="${theme.grid}" stroke-width="1"/>`;
+            }).join('');
+            const spokes = axes.map((tag, i) => {
+                const end = pointAt(i, radius);
+                return `<line x1="${center.x}" y1="${center.y}" x2="${end.x}" y2="${end.y}" stroke="${theme.grid}" stroke-width="1"/>`;
+            }).join('');
+            const area = axes.map(([, count], i) => pointAt(i, radius * (count / maxCount)))
+                .map(p => `${p.x},${p.y}`).join(' ');
+            const labels = axes.map(([tag, count], i) => {
+                if (!tag) {
+                    return '';
+                }
+                const p = pointAt(i, radius + 14);
+                const cos = Math.cos(angleFor(i));
+                const anchor = Math.abs(cos) < 0.2 ? 'middle' : cos > 0 ? 'start' : 'end';
+                const dy = Math.sin(angleFor(i)) > 0.5 ? 10 : Math.sin(angleFor(i)) < -0.5 ? -4 : 4;
+                return `<text x="${p.x}" y="${p.y + dy}" text-anchor="${anchor}" class="tag-label">${escapeXml(tag)} <tspan class="tag-count">${count}</tspan></text>`;
+            }).join('');
+
+            body = `
+                ${rings}
+                ${spokes}
+                <polygon points="${area}" fill="${color}" fill-opacity="0.25" stroke="${color}" stroke-width="2"/>
+                ${labels}`;
+        } else {
+            // Horizontal bars for the most solved tags
+            const shown = tags.slice(0, 12);
+            const maxCount = shown[0][1];
+            const top = 62;
+            const rowHeight = (height - top - 16) / 12;
+            const barStart = 175;
+            const barMax = width - barStart - 55;
+
+            body = shown.map(([tag, count], i) => {
+                const y = top + i * rowHeight;
+                const barWidth = Math.max(2, (count / maxCount) * barMax);
+                return `
+                    <text x="${barStart - 10}" y="${y + rowHeight / 2}" text-anchor="end" dominant-baseline="middle" class="tag-label">${escapeXml(tag)}</text>
+                    <rect x="${barStart}" y="${y + 4}" width="${barWidth}" height="${rowHeight - 8}" rx="3" fill="${color}" opacity="0.85"/>
+                    <text x="${barStart + barWidth + 6}" y="${y + rowHeight / 2}" dominant-baseline="middle" class="tag-count">${count}</text>`;
+            }).join('');
         }
 
-        const svg = await generateProfileSVG(data);
-        
-        if (!svg || !svg.trim().startsWith('<?xml')) {
-            throw new Error('Invalid SVG generated');
+        return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+        <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+             style="border-radius:15px; box-shadow: 0 4px 10px rgba(0, 0, 0, 0.2);"
+             xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+            <style>
+                @import url('https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;600&amp;display=swap');
+                text { font-family: 'Open Sans', sans-serif; font-size: 11px; fill: ${theme.text}; }
+                .title { font-size: 16px; font-weight: 600; fill: ${theme.title}; }
+                .subtitle { font-size: 12px; fill: ${theme.muted}; }
+                .handle { font-size: 14px; font-weight: 600; fill: ${theme.titleOverride || rankColor}; }
+                .tag-label { font-size: 11px; fill: ${theme.text}; }
+                .tag-count { font-size: 11px; font-weight: 600; fill: ${theme.muted}; }
+            </style>
+            ${cardBackground(theme, width, height)}
+            <text x="25" y="32" class="title">Solved by tag</text>
+            <text x="25" y="50" class="subtitle">${solved.length} problems, ${tags.length} tags</text>
+            <text x="${width - 25}" y="32" text-anchor="end" class="handle">${escapeXml(user.handle)}</text>
+            ${body}
+        </svg>`;
+    } catch (error) {
+        throw new Error(`Failed to generate tags SVG: ${error.message}`);
+    }
+}
+
+function generateDifficultySVG(data, options = {}) {
+    try {
+        const { theme = resolveTheme() } = options;
+        const { user, submissions } = data;
+        const width = 700;
+        const height = 300;
+        const padding = { top: 70, right: 25, bottom: 40, left: 50 };
+        const rankColor = user.rank ? codeforces.getRankColor(user.rank) : theme.title;
+
+        const solved = codeforces.getSolvedProblems(submissions);
+        const rated = solved.filter(({ problem }) => Number.isFinite(problem.rating));
+        const unrated = solved.length - rated.length;
+
+        // Problem ratings go from 800 in steps of 100; show at least up to 2000 so sparse profiles keep their scale
+        const highest = Math.max(2000, ...rated.map(({ problem }) => problem.rating));
+        const buckets = [];
+        for (let rating = 800; rating <= highest; rating += 100) {
+            buckets.push({ rating, count: 0 });
+        }
+        rated.forEach(({ problem }) => {
+            const bucket = buckets[Math.max(0, Math.floor((problem.rating - 800) / 100))];
+            bucket.count += 1;
+        });
+
+        const maxCount = Math.max(1, ...buckets.map(bucket => bucket.count));
+        const step = [1, 2, 5, 10, 20, 25, 50, 100, 200, 250, 500].find(size => maxCount / size <= 5) || 1000;
+        const axisMax = Math.ceil(maxCount / step) * step;
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const slot = plotWidth / buckets.length;
+        const barWidth = Math.max(2, slot - 4);
+        const yFor = count => height - padding.bottom - (count / axisMax) * plotHeight;
+
+        let gridLines = '';
+        for (let value = 0; value <= axisMax; value += step) {
+            gridLines += `
+                <line x1="${padding.left}" y1="${yFor(value)}" x2="${width - padding.right}" y2="${yFor(value)}" stroke="${theme.grid}" stroke-width="1" opacity="0.5"/>
+                <text x="${padding.left - 8}" y="${yFor(value)}" text-anchor="end" dominant-baseline="middle" class="axis-label">${value}</text>`;
         }
 
-        res.setHeader('Content-Type', 'image/svg+xml');
-        res.setHeader('Cache-Control', 'public, max-age=300');
-        res.send(svg);
+        // Bars take the color of the rank band the problem rating falls in
+        const bars = buckets.map((bucket, i) => {
+            const x = padding.left + i * slot + (slot - barWidth) / 2;
+            const y = yFor(bucket.count);
+            const label = i % (slot < 28 ? 2 : 1) === 0
+                ? `<text x="${x + barWidth / 2}" y="${height - padding.bottom + 15}" text-anchor="middle" class="axis-label">${bucket.rating}</text>`
+                : '';
+            const count = bucket.count > 0 && slot >= 18
+                ? `<text x="${x + barWidth / 2}" y="${y - 4}" text-anchor="middle" class="bar-count">${bucket.count}</text>`
+                : '';
+            return `
+                ${bucket.count > 0 ? `<rect x="${x}" y="${y}" width="${barWidth}" height="${height - padding.bottom - y}" rx="2" fill="${codeforces.getTier(bucket.rating).color}" opacity="0.85"/>` : ''}
+                ${count}
+                ${label}`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+        <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+             style="border-radius:15px; box-shadow: 0 4px 10px rgba(0, 0, 0, 0.2);"
+             xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+            <style>
+                @import url('https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;600&amp;display=swap');
+                text { font-family: 'Open Sans', sans-serif; font-size: 10px; fill: ${theme.muted}; }
+                .title { font-size: 16px; font-weight: 600; fill: ${theme.title}; }
+                .subtitle { font-size: 12px; fill: ${theme.muted}; }
+                .handle { font-size: 14px; font-weight: 600; fill: ${theme.titleOverride || rankColor}; }
+                .axis-label { font-size: 10px; fill: ${theme.muted}; }
+                .bar-count { font-size: 9px; font-weight: 600; fill: ${theme.text}; }
+            </style>
+            ${cardBackground(theme, width, height)}
+            <text x="25" y="32" class="title">Solved by difficulty</text>
+            <text x="25" y="50" class="subtitle">${rated.length} rated problems${unrated > 0 ? `, ${unrated} unrated not shown` : ''}</text>
+            <text x="${width - padding.right}" y="32" text-anchor="end" class="handle">${escapeXml(user.handle)}</text>
+            ${gridLines}
+            ${bars}
+            <line x1="${padding.left}" y1="${height - padding.bottom}" x2="${width - padding.right}" y2="${height - padding.bottom}" stroke="${theme.text}" stroke-width="1"/>
+        </svg>`;
     } catch (error) {
-        const errorSvg = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
-        <svg width="500" height="300" xmlns="http://www.w3.org/2000/svg">
-            <rect width="500" height="300" rx="15" fill="#f8f9fa"/>
-            <text x="250" y="150" text-anchor="middle" font-family="Open Sans" font-size="16">
-                Unable to load profile for "${escapeXml(req.params.handle)}". ${error.message}
-            </text>
+        throw new Error(`Failed to generate difficulty SVG: ${error.message}`);
+    }
+}
+
+// Verdicts shown on the submissions card; everything else (skipped, hacked, ...) is "Other"
+const verdictGroups = [
+    { label: 'OK', verdicts: ['OK'], color: '#43a047' },
+    { label: 'WA', verdicts: ['WRONG_ANSWER'], color: '#e53935' },
+    { label: 'TLE', verdicts: ['TIME_LIMIT_EXCEEDED', 'IDLENESS_LIMIT_EXCEEDED'], color: '#fb8c00' },
+    { label: 'MLE', verdicts: ['MEMORY_LIMIT_EXCEEDED'], color: '#8e24aa' },
+    { label: 'RE', verdicts: ['RUNTIME_ERROR'], color: '#1e88e5' },
+    { label: 'CE', verdicts: ['COMPILATION_ERROR'], color: '#757575' }
+];
+
+// Compiler names like "GNU C++20 (64)" or "PyPy 3-64" grouped by language, first match wins
+const languageFamilies = [
+    { pattern: /javascript|node\.?js|v8/i, name: 'JavaScript' },
+    { pattern: /typescript/i, name: 'TypeScript' },
+    { pattern: /c\+\+|g\+\+|clang/i, name: 'C++' },
+    { pattern: /c#|mono|\.net/i, name: 'C#' },
+    { pattern: /python|pypy/i, name: 'Python' },
+    { pattern: /kotlin/i, name: 'Kotlin' },
+    { pattern: /java/i, name: 'Java' },
+    { pattern: /rust/i, name: 'Rust' },
+    { pattern: /\bgo\b/i, name: 'Go' },
+    { pattern: /haskell/i, name: 'Haskell' },
+    { pattern: /pascal|fpc|delphi/i, name: 'Pascal' },
+    { pattern: /^(gnu )?c\d*\b/i, name: 'C' }
+];
+
+function languageFamily(language = 'Unknown') {
+    const family = languageFamilies.find(({ pattern }) => pattern.test(language));
+    return family ? family.name : language.replace(/[\s\d.()-]+$/, '') || language;
+}
+
+function getSubmissionStats(submissions) {
+    const verdicts = verdictGroups.map(group => ({ ...group, count: 0 }));
+    const other = { label: 'Other', count: 0 };
+    const languages = new Map();
+    const byProblem = new Map();
+
+    submissions.forEach(sub => {
+        const group = verdicts.find(({ verdicts: names }) => names.includes(sub.verdict)) || other;
+        group.count += 1;
+
+        const language = languageFamily(sub.programmingLanguage);
+        languages.set(language, (languages.get(language) || 0) + 1);
+
+        const key = codeforces.getProblemKey(sub.problem);
+        if (!byProblem.has(key)) {
+            byProblem.set(key, []);
+        }
+        byProblem.get(key).push(sub);
+    });
+
+    // Attempts on a solved problem are the submissions up to and including the first accepted one
+    let solved = 0;
+    let firstTry = 0;
+    let attempts = 0;
+    byProblem.forEach(problemSubmissions => {
+        const ordered = problemSubmissions.sort((a, b) => a.creationTimeSeconds - b.creationTimeSeconds || a.id - b.id);
+        const firstAccepted = ordered.findIndex(sub => sub.verdict === 'OK');
+        if (firstAccepted === -1) {
+            return;
+        }
+        solved += 1;
+        attempts += firstAccepted + 1;
+        if (firstAccepted === 0) {
+            firstTry += 1;
+        }
+    });
+
+    const total = submissions.length;
+    return {
+        total,
+        solved,
+        verdicts: other.count > 0 ? [...verdicts, other] : verdicts,
+        acceptanceRate: total > 0 ? verdicts[0].count / total : 0,
+        firstTryRate: solved > 0 ? firstTry / solved : 0,
+        averageAttempts: solved > 0 ? attempts / solved : 0,
+        languages: [...languages].sort((a, b) => b[1] - a[1]).map(([name, count]) => ({ name, count, share: count / total }))
+    };
+}
+
+function generateSubmissionsSVG(data, options = {}) {
+    try {
+        const { theme = resolveTheme() } = options;
+        const { user, submissions } = data;
+        const width = 500;
+        const height = 300;
+        const rank = user.rank || 'unrated';
+        const rankColor = rank === 'unrated' ? theme.title : codeforces.getRankColor(rank);
+        const titleColor = theme.titleOverride || rankColor;
+        const stats = getSubmissionStats(submissions);
+        const percent = value => `${Math.round(value * 100)}%`;
+
+        const blocks = [
+            { value: percent(stats.acceptanceRate), label: 'Acceptance Rate' },
+            { value: percent(stats.firstTryRate), label: 'Solved First Try' },
+            { value: stats.averageAttempts.toFixed(2), label: 'Attempts per Solve' }
+        ].map((block, i) => `
+            <g transform="translate(${20 + i * 157}, 72)">
+                <rect x="0" y="0" width="146" height="52" fill="${theme.surface}" rx="8"/>
+                <text class="stat" x="73" y="24" text-anchor="middle">${block.value}</text>
+                <text class="label" x="73" y="42" text-anchor="middle">${block.label}</text>
+            </g>`).join('');
+
+        // Donut segments are dashes on a circle, starting at 12 o'clock
+        const center = { x: 75, y: 220 };
+        const radius = 48;
+        const circumference = 2 * Math.PI * radius;
+        let offset = 0;
+        const segments = stats.total === 0
+            ? `<circle cx="${center.x}" cy="${center.y}" r="${radius}" fill="none" stroke="${theme.grid}" stroke-width="16"/>`
+            : stats.verdicts.filter(verdict => verdict.count > 0).map(verdict => {
+                const length = (verdict.count / stats.total) * circumference;
+                const segment = `<circle cx="${center.x}" cy="${center.y}" r="${radius}" fill="none" stroke="${verdict.color || theme.grid}" stroke-width="16"
+                    stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}" transform="rotate(-90 ${center.x} ${center.y})"/>`;
+                offset += length;
+                return segment;
+            }).join('');
+
+        const legend = stats.verdicts.map((verdict, i) => `
+            <g transform="translate(145, ${166 + i * 18})">
+                <rect x="0" y="-8" width="9" height="9" rx="2" fill="${verdict.color || theme.grid}"/>
+                <text class="legend" x="15" y="0">${verdict.label}</text>
+                <text class="legend-value" x="95" y="0" text-anchor="end">${stats.total > 0 ? percent(verdict.count / stats.total) : '0%'}</text>
+            </g>`).join('');
+
+        // Top languages by share; bars are scaled to the full width, so they add up across rows
+        const languageRows = stats.languages.slice(0, 5).map((language, i) => `
+            <g transform="translate(270, ${174 + i * 24})">
+                <text class="legend" x="0" y="0">${escapeXml(language.name)}</text>
+                <text class="legend-value" x="210" y="0" text-anchor="end">${percent(language.share)}</text>
+                <rect x="0" y="5" width="210" height="6" rx="3" fill="${theme.grid}" opacity="0.5"/>
+                <rect x="0" y="5" width="${Math.max(3, language.share * 210)}" height="6" rx="3" fill="${rankColor}"/>
+            </g>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+        <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+             style="border-radius:15px; box-shadow: 0 4px 10px rgba(0, 0, 0, 0.2);"
+             xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+            <style>
+                @import url('https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;600;700&amp;display=swap');
+                .title { font: 700 20px 'Open Sans', sans-serif; }
+                .info { font: 400 13px 'Open Sans', sans-serif; fill: ${theme.muted}; }
+                .stat { font: 600 16px 'Open Sans', sans-serif; fill: ${theme.title}; }
+                .label { font: 400 11px 'Open Sans', sans-serif; fill: ${theme.muted}; }
+                .section { font: 600 12px 'Open Sans', sans-serif; fill: ${theme.title}; }
+                .legend { font: 400 12px 'Open Sans', sans-serif; fill: ${theme.text}; }
+                .legend-value { font: 600 12px 'Open Sans', sans-serif; fill: ${theme.muted}; }
+                .donut-value { font: 700 16px 'Open Sans', sans-serif; fill: ${theme.title}; }
+            </style>
+
+            <defs>
+                <linearGradient id="backgroundGrad" x1="0%" y1="0%" x2="100%" y2="100%">
+                    <stop offset="0%" style="stop-color:${theme.background};stop-opacity:1" />
+                    <stop offset="100%" style="stop-color:${theme.backgroundAlt};stop-opacity:1" />
+                </linearGradient>
+            </defs>
+            ${cardBackground(theme, width, height, 'url(#backgroundGrad)')}
+
+            <rect x="0" y="0" width="500" height="56" fill="${rankColor}" opacity="0.15"/>
+            <path d="M0,56 L500,56" stroke="${theme.border}" stroke-width="1"/>
+            <text class="title" fill="${titleColor}" x="20" y="36">${escapeXml(user.handle)}</text>
+            <text class="info" x="480" y="35" text-anchor="end">${stats.total} submissions, ${stats.solved} solved</text>
+
+            ${blocks}
+
+            <text class="section" x="20" y="150">Verdicts</text>
+            ${segments}
+            <text class="donut-value" x="${center.x}" y="${center.y + 2}" text-anchor="middle" dominant-baseline="middle">${stats.total}</text>
+            ${legend}
+
+            <text class="section" x="270" y="150">Languages</text>
+            ${languageRows}
+        </svg>`;
+    } catch (error) {
+        throw new Error(`Failed to generate submissions SVG: ${error.message}`);
+    }
+}
+
+// Participant types counted as solving in a live contest; virtual and practice runs count as practice
+const contestParticipantTypes = ['CONTESTANT', 'OUT_OF_COMPETITION'];
+const recentModes = ['all', 'contest', 'practice'];
+const MAX_RECENT = 10;
+
+// Latest accepted submission per problem, newest first
+function getRecentSolves(submissions, { count = 5, mode = 'all' } = {}) {
+    const seen = new Set();
+    const recent = [];
+    const ordered = [...submissions].sort((a, b) => b.creationTimeSeconds - a.creationTimeSeconds);
+
+    for (const sub of ordered) {
+        if (recent.length >= count) {
+            break;
+        }
+        const key = codeforces.getProblemKey(sub.problem);
+        const inContest = contestParticipantTypes.includes(sub.author?.participantType);
+        if (sub.verdict !== 'OK' || seen.has(key) || (mode === 'contest' && !inContest) || (mode === 'practice' && inContest)) {
+            continue;
+        }
+        seen.add(key);
+        recent.push({ problem: sub.problem, time: sub.creationTimeSeconds, inContest });
+    }
+    return recent;
+}
+
+function generateRecentSVG(data, options = {}) {
+    try {
+        const { theme = resolveTheme(), count = 5, mode = 'all', hideTags = false } = options;
+        const { user, submissions } = data;
+        const width = 500;
+        const rowHeight = 46;
+        const top = 62;
+        const solves = getRecentSolves(submissions, { count, mode });
+        const height = top + Math.max(1, solves.length) * rowHeight + 14;
+        const rank = user.rank || 'unrated';
+        const rankColor = rank === 'unrated' ? theme.title : codeforces.getRankColor(rank);
+        const titles = { all: 'Recent solves', contest: 'Recent contest solves', practice: 'Recent practice solves' };
+
+        const rows = solves.length === 0
+            ? `<text x="${width / 2}" y="${top + 24}" text-anchor="middle" class="meta">No accepted submissions yet</text>`
+            : solves.map(({ problem, time, inContest }, i) => {
+                const y = top + i * rowHeight;
+                const rated = Number.isFinite(problem.rating);
+                const id = `${problem.contestId || ''}${problem.index}`;
+                const when = `${inContest ? 'in contest, ' : ''}${formatTimeAgo(time)}`;
+                const tags = hideTags ? '' : (problem.tags || []).join(', ');
+                const meta = tags ? `${when} · ${truncateText(tags, width - 40 - measureText(`${when} · `, { size: 11 }), { size: 11 })}` : when;
+                // The name stops before the rating pill on the right
+                const name = truncateText(problem.name || '', width - 100 - measureText(`${id} `, { size: 13, weight: 600 }), { size: 13 });
+                return `
+                    <g transform="translate(20, ${y})">
+                        ${i > 0 ? `<line x1="0" y1="0" x2="${width - 40}" y2="0" stroke="${theme.border}" stroke-width="1"/>` : ''}
+                        <text x="0" y="20" class="problem"><tspan class="problem-id">${escapeXml(id)}</tspan> ${escapeXml(name)}</text>
+                        <text x="0" y="37" class="meta">${escapeXml(meta)}</text>
+                        <rect x="${width - 40 - 50}" y="7" width="50" height="18" rx="9" fill="${rated ? codeforces.getTier(problem.rating).color : theme.grid}" opacity="${rated ? 0.9 : 0.6}"/>
+                        <text x="${width - 40 - 25}" y="20" text-anchor="middle" class="rating">${rated ? problem.rating : '?'}</text>
+                    </g>`;
+            }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+        <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+             style="border-radius:15px; box-shadow: 0 4px 10px rgba(0, 0, 0, 0.2);"
+             xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+            <style>
+                @import url('https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;600;700&amp;display=swap');
+                .title { font: 600 16px 'Open Sans', sans-serif; fill: ${theme.title}; }
+                .handle { font: 600 14px 'Open Sans', sans-serif; fill: ${theme.titleOverride || rankColor}; }
+                .problem { font: 400 13px 'Open Sans', sans-serif; fill: ${theme.text}; }
+                .problem-id { font-weight: 600; fill: ${theme.title}; }
+                .meta { font: 400 11px 'Open Sans', sans-serif; fill: ${theme.muted}; }
+                .rating { font: 700 11px 'Open Sans', sans-serif; fill: #ffffff; }
+            </style>
+            ${cardBackground(theme, width, height)}
+            <text x="20" y="36" class="title">${titles[mode]}</text>
+            <text x="${width - 20}" y="36" text-anchor="end" class="handle">${escapeXml(user.handle)}</text>
+            ${rows}
+        </svg>`;
+    } catch (error) {
+        throw new Error(`Failed to generate recent SVG: ${error.message}`);
+    }
+}
+
+function generateBadgesSVG(data, options = {}) {
+    try {
+        const { theme = resolveTheme(), activity = new Map() } = options;
+        const { user, ratings, submissions } = data;
+        const gains = codeforces.getRatingGains(ratings);
+        const badges = deriveBadges({
+            tiers: codeforces.tiers,
+            contests: ratings.map((r, i) => ({ time: r.ratingUpdateTimeSeconds, rating: r.newRating, rank: r.rank, gain: gains[i] })),
+            solves: codeforces.getSolvedProblems(submissions)
+                .map(({ solvedAt }) => ({ time: solvedAt, count: 1 }))
+                .sort((a, b) => a.time - b.time),
+            activity
+        });
+        const earned = badges.filter(badge => badge.earnedAt !== null).length;
+
+        const grid = badgeGridSize(badges.length);
+        const width = grid.width + 40;
+        const height = 72 + grid.height + 12;
+        const rank = user.rank || 'unrated';
+        const rankColor = rank === 'unrated' ? theme.title : codeforces.getRankColor(rank);
+        const titleColor = theme.titleOverride || rankColor;
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+        <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+             style="border-radius:15px; box-shadow: 0 4px 10px rgba(0, 0, 0, 0.2);"
+             xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+            <style>
+                @import url('https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;600;700&amp;display=swap');
+                .title { font: 700 20px 'Open Sans', sans-serif; }
+                .info { font: 400 13px 'Open Sans', sans-serif; fill: ${theme.muted}; }
+                .badge-glyph { font: 700 12px 'Open Sans', sans-serif; }
+                .badge-label { font: 600 11px 'Open Sans', sans-serif; fill: ${theme.title}; }
+                .badge-detail { font: 400 10px 'Open Sans', sans-serif; fill: ${theme.muted}; }
+            </style>
+            ${cardBackground(theme, width, height)}
+
+            <rect x="0" y="0" width="${width}" height="56" fill="${rankColor}" opacity="0.15"/>
+            <path d="M0,56 L${width},56" stroke="${theme.border}" stroke-width="1"/>
+            <text class="title" fill="${titleColor}" x="20" y="36">${escapeXml(truncateText(user.handle, width - 260, { size: 20, weight: 700 }))}</text>
+            <text class="info" x="${width - 20}" y="35" text-anchor="end">Achievements: ${earned} of ${badges.length} earned</text>
+
+            ${renderBadgeGrid(badges, theme, { x: 20, y: 72 })}
         </svg>`;
-        res.setHeader('Content-Type', 'image/svg+xml');
-        res.status(500).send(errorSvg);
+    } catch (error) {
+        throw new Error(`Failed to generate badges SVG: ${error.message}`);
+    }
+}
+
+// Registered before the /:handle routes so "compare" is never taken for a handle
+router.get('/compare/graph', async (req, res) => {
+    try {
+        const handles = [...new Set(String(req.query.handles || '')
+            .split(',')
+            .map(handle => handle.trim())
+            .filter(Boolean))];
+
+        if (handles.length === 0 || handles.length > MAX_COMPARE_HANDLES) {
+            throw invalidRequestError(`Please provide between 1 and ${MAX_COMPARE_HANDLES} handles, e.g. ?handles=tourist,Petr`);
+        }
+        const graphOptions = parseGraphOptions(req.query);
+
+        const results = await Promise.allSettled(handles.map(handle => getCodeforcesData(handle)));
+        const missing = handles.filter((handle, i) => results[i].status === 'rejected' && results[i].reason.type === 'USER_NOT_FOUND');
+        const failure = results.find(result => result.status === 'rejected' && result.reason.type !== 'USER_NOT_FOUND');
+
+        // Upstream trouble outranks a typo, since it affects every handle
+        if (failure) {
+            throw failure.reason;
+        }
+        if (missing.length > 0) {
+            throw notFoundError(`Codeforces ${missing.length > 1 ? 'users' : 'user'} not found: ${missing.join(', ')}`);
+        }
+
+        const datasets = results.map(result => result.value);
+        const [primary, ...compare] = datasets;
+
+        await sendCardIfChanged(req, res, {
+            inputs: datasets,
+            lastModified: Math.max(...datasets.map(codeforces.getLastModified))
+        }, () => generateGraphSVG(primary, { ...graphOptions, theme: resolveTheme(req.query), compare }));
+    } catch (error) {
+        await sendErrorCard(req, res, error, 'graph');
+    }
+});
+
+router.get('/:handle/profile', async (req, res) => {
+    try {
+        const { handle } = req.params;
+        const profileOptions = parseProfileOptions(req.query, profileStatKeys);
+        const data = await getCodeforcesData(handle);
+        const activity = await codeforces.fetchActivity(handle);
+
+        await sendCardIfChanged(req, res, {
+            inputs: [data],
+            lastModified: codeforces.getLastModified(data)
+        }, () => generateProfileSVG(data, { ...profileOptions, activity, theme: resolveTheme(req.query) }));
+    } catch (error) {
+        await sendErrorCard(req, res, error, 'profile');
     }
 });
 
 router.get('/:handle/graph', async (req, res) => {
     try {
         const { handle } = req.params;
+        const graphOptions = parseGraphOptions(req.query);
         const data = await getCodeforcesData(handle);
-        const svg = generateGraphSVG(data);
 
-        res.setHeader('Content-Type', 'image/svg+xml');
-        res.setHeader('Cache-Control', 'public, max-age=300');
-        res.send(svg);
+        await sendCardIfChanged(req, res, {
+            inputs: [data],
+            lastModified: codeforces.getLastModified(data)
+        }, () => generateGraphSVG(data, { ...graphOptions, theme: resolveTheme(req.query) }));
     } catch (error) {
-        const errorSvg = errorSVG(`Unable to load rating graph for "${escapeXml(req.params.handle)}". Please check if the handle exists.`);
-        res.setHeader('Content-Type', 'image/svg+xml');
-        res.status(500).send(errorSvg);
+        await sendErrorCard(req, res, error, 'graph');
     }
 });
 
 router.get('/:handle/heatmap', async (req, res) => {
+    try {
+        const { handle } = req.params;
+        const metric = String(req.query.metric || 'solved');
+        if (!Object.keys(heatmapMetrics).includes(metric)) {
+            throw invalidRequestError(`metric must be one of: ${Object.keys(heatmapMetrics).join(', ')}`);
+        }
+        const calendar = parseCalendarOptions(req.query);
+        const data = await getCodeforcesData(handle);
+
+        await sendCardIfChanged(req, res, {
+            inputs: [data],
+            lastModified: codeforces.getLastModified(data)
+        }, () => generateHeatmapSVG(data, { ...calendar, metric, theme: resolveTheme(req.query) }));
+    } catch (error) {
+        await sendErrorCard(req, res, error, 'heatmap');
+    }
+});
+
+router.get('/:handle/tags', async (req, res) => {
+    try {
+        const { handle } = req.params;
+        const chart = String(req.query.chart || 'bar');
+        if (!tagCharts.includes(chart)) {
+            throw invalidRequestError(`chart must be one of: ${tagCharts.join(', ')}`);
+        }
+        const data = await getCodeforcesData(handle);
+
+        await sendCardIfChanged(req, res, {
+            inputs: [data],
+            lastModified: codeforces.getLastModified(data)
+        }, () => generateTagsSVG(data, { theme: resolveTheme(req.query), chart }));
+    } catch (error) {
+        await sendErrorCard(req, res, error, 'tags');
+    }
+});
+
+router.get('/:handle/difficulty', async (req, res) => {
+    try {
+        const { handle } = req.params;
+        const data = await getCodeforcesData(handle);
+
+        await sendCardIfChanged(req, res, {
+            inputs: [data],
+            lastModified: codeforces.getLastModified(data)
+        }, () => generateDifficultySVG(data, { theme: resolveTheme(req.query) }));
+    } catch (error) {
+        await sendErrorCard(req, res, error, 'difficulty');
+    }
+});
+
+router.get('/:handle/submissions', async (req, res) => {
+    try {
+        const { handle } = req.params;
+        const data = await getCodeforcesData(handle);
+
+        await sendCardIfChanged(req, res, {
+            inputs: [data],
+            lastModified: codeforces.getLastModified(data)
+        }, () => generateSubmissionsSVG(data, { theme: resolveTheme(req.query) }));
+    } catch (error) {
+        await sendErrorCard(req, res, error, 'submissions');
+    }
+});
+
+router.get('/:handle/recent', async (req, res) => {
+    try {
+        const { handle } = req.params;
+        const count = req.query.count === undefined ? 5 : Number(req.query.count);
+        const mode = String(req.query.mode || 'all');
+
+        if (!Number.isInteger(count) || count < 1 || count > MAX_RECENT) {
+            throw invalidRequestError(`count must be a number between 1 and ${MAX_RECENT}`);
+        }
+        if (!recentModes.includes(mode)) {
+            throw invalidRequestError(`mode must be one of: ${recentModes.join(', ')}`);
+        }
+        const data = await getCodeforcesData(handle);
+
+        await sendCardIfChanged(req, res, {
+            inputs: [data],
+            lastModified: codeforces.getLastModified(data)
+        }, () => generateRecentSVG(data, {
+            theme: resolveTheme(req.query),
+            count,
+            mode,
+            hideTags: parseBoolean(req.query.hide_tags)
+        }));
+    } catch (error) {
+        await sendErrorCard(req, res, error, 'recent');
+    }
+});
+
+router.get('/:handle/badges', async (req, res) => {
     try {
         const { handle } = req.params;
         const data = await getCodeforcesData(handle);
-        const svg = generateHeatmapSVG(data);
+        const activity = await codeforces.fetchActivity(handle);
 
-        res.setHeader('Content-Type', 'image/svg+xml');
-        res.setHeader('Cache-Control', 'public, max-age=300');
-        res.send(svg);
+        await sendCardIfChanged(req, res, {
+            inputs: [data],
+            lastModified: codeforces.getLastModified(data)
+        }, () => generateBadgesSVG(data, { activity, theme: resolveTheme(req.query) }));
     } catch (error) {
-        const errorSvg = errorSVG(`Unable to generate heatmap for "${escapeXml(req.params.handle)}". Please try again later.`);
-        res.setHeader('Content-Type', 'image/svg+xml');
-        res.status(500).send(errorSvg);
+        await sendErrorCard(req, res, error, 'badges');
     }
 });
 
@@ -0,0 +1,55 @@
+// routes/combined.js
+const express = require('express');
+const router = express.Router();
+const { resolveTheme } = require('../utils/themes');
+const { sendCardIfChanged, sendErrorCard } = require('../utils/render');
+const { errorTypes, invalidRequestError, toAppError } = require('../utils/errors');
+const { getPlatform } = require('../platforms');
+const { generateCombinedSVG } = require('../cards/combined');
+
+// Query parameters that name a handle, in display order
+const COMBINED_PLATFORMS = ['cf', 'cc'];
+
+router.get('/', async (req, res) => {
+    const theme = resolveTheme(req.query);
+    const requested = COMBINED_PLATFORMS
+        .filter(id => typeof req.query[id] === 'string' && req.query[id].trim())
+        .map(id => ({ adapter: getPlatform(id), handle: req.query[id].trim() }));
+
+    if (requested.length === 0) {
+        await sendErrorCard(req, res, invalidRequestError('Pass at least one handle, e.g. ?cf=tourist&cc=gennady.korotkevich'), 'combined');
+        return;
+    }
+
+    try {
+        // Fetch every platform in parallel; a failing platform only blanks its own section
+        const results = await Promise.allSettled(requested.map(({ adapter, handle }) => Promise.all([
+            adapter.fetchProfile(handle),
+            adapter.fetchActivity(handle)
+        ])));
+
+        const sections = requested.map((section, i) => {
+            const result = results[i];
+            if (result.status === 'rejected') {
+                console.error(`Combined card: ${section.adapter.name} fetch failed:`, result.reason);
+                return { ...section, error: result.reason };
+            }
+            return { ...section, profile: result.value[0], activity: result.value[1] };
+        });
+
+        // A card with a failed section is only cached as long as that error's own card would be
+        const failures = sections.filter(section => section.error);
+        const maxAge = failures.length > 0
+            ? Math.min(...failures.map(section => errorTypes[toAppError(section.error).type].cacheTtl))
+            : undefined;
+
+        await sendCardIfChanged(req, res, {
+            inputs: sections.map(({ handle, profile, activity }) => ({ handle, profile, activity })),
+            maxAge
+        }, () => generateCombinedSVG(sections, { theme }));
+    } catch (error) {
+        await sendErrorCard(req, res, error, 'combined');
+    }
+});
+
+module.exports = router;
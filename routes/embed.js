@@ -0,0 +1,165 @@
+// routes/embed.js
+// Interactive HTML versions of the cards for iframes, where hover and scripts work.
+const express = require('express');
+const router = express.Router();
+const { escapeXml } = require('../utils/helpers');
+const { resolveTheme } = require('../utils/themes');
+const { errorTypes, toAppError } = require('../utils/errors');
+const { rateLimiter } = require('../utils/ratelimit');
+const codeforces = require('../platforms/codeforces');
+
+// JSON inside <script> must not be able to close the tag
+const toScriptJson = value => JSON.stringify(value).replace(/</g, '\\u003c');
+
+function pageStyles(theme) {
+    return `
+        :root {
+            --bg: ${theme.background};
+            --surface: ${theme.surface};
+            --title: ${theme.title};
+            --text: ${theme.text};
+            --muted: ${theme.muted};
+            --border: ${theme.border};
+            --grid: ${theme.grid};
+        }
+        * { box-sizing: border-box; }
+        html, body { margin: 0; height: 100%; background: var(--bg); color: var(--text); font: 400 13px 'Open Sans', sans-serif; }
+        .page { display: flex; flex-direction: column; height: 100%; padding: 12px 16px; border-radius: 15px;
+                border: 1px solid ${theme.hideBorder ? 'transparent' : 'var(--border)'}; }
+        .message { margin: auto; text-align: center; }
+        .message strong { display: block; color: var(--title); font-size: 16px; font-weight: 600; margin-bottom: 6px; }
+        .message span { color: var(--muted); }`;
+}
+
+function generateGraphPage(data, options = {}) {
+    const { theme = resolveTheme() } = options;
+    const { user } = data;
+    const ratings = [...data.ratings].sort((a, b) => a.ratingUpdateTimeSeconds - b.ratingUpdateTimeSeconds);
+    const performance = codeforces.estimatePerformance(ratings);
+    const rankColor = theme.titleOverride || (user.rank ? codeforces.getRankColor(user.rank) : theme.title);
+
+    const graph = {
+        handle: user.handle,
+        points: ratings.map((r, i) => ({
+            time: r.ratingUpdateTimeSeconds,
+            contestId: r.contestId,
+            contestName: r.contestName,
+            rank: r.rank,
+            rating: r.newRating,
+            delta: r.newRating - r.oldRating,
+            performance: performance[i]
+        })),
+        tiers: codeforces.tiers.map(tier => ({
+            name: tier.name,
+            color: tier.color,
+            min: Number.isFinite(tier.min) ? tier.min : null
+        })),
+        theme: { grid: theme.grid, muted: theme.muted, line: rankColor }
+    };
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeXml(user.handle)} - Codeforces rating</title>
+    <link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;600;700&display=swap">
+    <style>
+        ${pageStyles(theme)}
+        .header { display: flex; flex-wrap: wrap; align-items: center; justify-content: space-between; gap: 8px; }
+        .summary { color: var(--title); font-size: 14px; font-weight: 600; }
+        .summary .handle { color: ${rankColor}; margin-right: 8px; }
+        .controls { display: flex; gap: 8px; }
+        .group { display: inline-flex; border: 1px solid var(--border); border-radius: 6px; overflow: hidden; }
+        .group button { border: 0; padding: 4px 10px; background: transparent; color: var(--muted); font: inherit; cursor: pointer; }
+        .group button + button { border-left: 1px solid var(--border); }
+        .group button[aria-pressed="true"] { background: var(--surface); color: var(--title); font-weight: 600; }
+        .chart { position: relative; flex: 1; min-height: 240px; margin-top: 8px; touch-action: none; cursor: grab; }
+        .chart.dragging { cursor: grabbing; }
+        .chart svg { position: absolute; inset: 0; width: 100%; height: 100%; }
+        .axis-label { font-size: 11px; fill: var(--muted); }
+        .tooltip { position: absolute; pointer-events: none; padding: 6px 10px; border-radius: 6px; background: rgba(0, 0, 0, 0.85);
+                   color: #fff; font-size: 12px; line-height: 1.5; white-space: nowrap; opacity: 0; transition: opacity 0.1s; }
+        .tooltip.visible { opacity: 1; }
+        .tooltip strong { display: block; max-width: 320px; overflow: hidden; text-overflow: ellipsis; }
+        .tooltip .up { color: #5fd35f; }
+        .tooltip .down { color: #ff6b6b; }
+        .hint { margin-top: 4px; color: var(--muted); font-size: 11px; text-align: right; }
+    </style>
+</head>
+<body>
+    <div class="page">
+        <div class="header">
+            <div class="summary">
+                <span class="handle">${escapeXml(user.handle)}</span>
+                Rating <span>${user.rating || 0}</span> (max. ${user.maxRating || 0})
+            </div>
+            <div class="controls">
+                <div class="group" role="group" aria-label="Value">
+                    <button type="button" data-metric="rating" aria-pressed="true">Rating</button>
+                    <button type="button" data-metric="performance" aria-pressed="false" title="Estimated from each rating change">Performance</button>
+                </div>
+                <div class="group" role="group" aria-label="Time range">
+                    <button type="button" data-range="365">1Y</button>
+                    <button type="button" data-range="730">2Y</button>
+                    <button type="button" data-range="1825">5Y</button>
+                    <button type="button" data-range="all" aria-pressed="true">All</button>
+                </div>
+            </div>
+        </div>
+        <div class="chart" id="chart">
+            <div class="tooltip" id="tooltip" role="status"></div>
+        </div>
+        <div class="hint">Scroll to zoom, drag to pan, double-click to reset</div>
+    </div>
+    <script id="graph-data" type="application/json">${toScriptJson(graph)}</script>
+    <script src="/embed/graph.js"></script>
+</body>
+</html>`;
+}
+
+function generateErrorPage(message, hint, theme = resolveTheme()) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeXml(message)}</title>
+    <style>${pageStyles(theme)}</style>
+</head>
+<body>
+    <div class="page">
+        <div class="message"><strong>${escapeXml(message)}</strong><span>${escapeXml(hint)}</span></div>
+    </div>
+</body>
+</html>`;
+}
+
+function sendErrorPage(req, res, error) {
+    const appError = toAppError(error);
+    const { cacheTtl, hint } = errorTypes[appError.type];
+
+    if (appError.type === 'INTERNAL_ERROR') {
+        console.error('Error rendering embed page:', appError.cause);
+    }
+    if (appError.retryAfter) {
+        res.setHeader('Retry-After', appError.retryAfter);
+    }
+    res.setHeader('Cache-Control', cacheTtl > 0 ? `public, max-age=${cacheTtl}` : 'no-store');
+    res.status(appError.status).type('html').send(generateErrorPage(appError.message, hint, resolveTheme(req.query)));
+}
+
+router.use(rateLimiter.middleware(sendErrorPage));
+
+router.get('/cf/:handle/graph', async (req, res) => {
+    try {
+        const data = await codeforces.getCodeforcesData(req.params.handle);
+        const html = generateGraphPage(data, { theme: resolveTheme(req.query) });
+
+        res.setHeader('Cache-Control', 'public, max-age=300');
+        res.type('html').send(html);
+    } catch (error) {
+        sendErrorPage(req, res, error);
+    }
+});
+
+module.exports = router;
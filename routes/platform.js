@@ -0,0 +1,73 @@
+// routes/platform.js
+// Builds the profile, graph and heatmap routes for any platform adapter in platforms/.
+const express = require('express');
+const { resolveTheme } = require('../utils/themes');
+const { sendCardIfChanged, sendErrorCard } = require('../utils/render');
+const { parseCalendarOptions } = require('../utils/calendar');
+const { parseAnimate } = require('../utils/animation');
+const { invalidRequestError } = require('../utils/errors');
+const {
+    generatePlatformProfileSVG,
+    generatePlatformGraphSVG,
+    generatePlatformHeatmapSVG
+} = require('../cards/platform');
+
+function createPlatformRouter(adapter) {
+    const router = express.Router();
+
+    // `load` fetches what a card needs and returns its inputs with a render callback,
+    // so conditional requests are answered before any SVG work happens
+    const cardRoute = (type, load) => async (req, res) => {
+        try {
+            const { handle } = req.params;
+            const [card, lastModified] = await Promise.all([
+                load(handle, req),
+                adapter.fetchLastModified ? adapter.fetchLastModified(handle) : 0
+            ]);
+
+            await sendCardIfChanged(req, res, { inputs: card.inputs, lastModified }, card.render);
+        } catch (error) {
+            await sendErrorCard(req, res, error, type);
+        }
+    };
+
+    router.get('/:handle/profile', cardRoute('profile', async (handle, req) => {
+        const profile = await adapter.fetchProfile(handle);
+        return {
+            inputs: [profile],
+            render: () => generatePlatformProfileSVG(profile, adapter, { theme: resolveTheme(req.query), animate: parseAnimate(req.query) })
+        };
+    }));
+
+    router.get('/:handle/graph', cardRoute('graph', async (handle, req) => {
+        const [profile, history] = await Promise.all([
+            adapter.fetchProfile(handle),
+            adapter.fetchRatingHistory(handle)
+        ]);
+        return {
+            inputs: [profile, history],
+            render: () => generatePlatformGraphSVG(profile, history, adapter, { theme: resolveTheme(req.query), animate: parseAnimate(req.query) })
+        };
+    }));
+
+    router.get('/:handle/heatmap', cardRoute('heatmap', async (handle, req) => {
+        // Only Codeforces keeps every submission, which the other heatmap metrics need
+        if (req.query.metric !== undefined) {
+            throw invalidRequestError('metric is only supported on Codeforces heatmaps');
+        }
+        const calendar = parseCalendarOptions(req.query);
+        const activity = await adapter.fetchActivity(handle, { timeZone: calendar.timeZone });
+        return {
+            inputs: [activity],
+            render: () => generatePlatformHeatmapSVG(activity, adapter, { ...calendar, theme: resolveTheme(req.query) })
+        };
+    }));
+
+    router.get('/:handle', (req, res) => {
+        res.redirect(`${req.baseUrl}/${req.params.handle}/profile`);
+    });
+
+    return router;
+}
+
+module.exports = { createPlatformRouter };
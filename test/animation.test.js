@@ -0,0 +1,47 @@
+// test/animation.test.js
+// Animated cards have to stay valid SVG: resvg parses them as strict XML, as browsers do.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Resvg } = require('@resvg/resvg-js');
+const { parseAnimate, countUpText, withStyle } = require('../utils/animation');
+const { profileLayout, renderStatBoxes } = require('../utils/profile');
+
+const svgDocument = body => `<svg xmlns="http://www.w3.org/2000/svg" width="500" height="200">${body}</svg>`;
+
+describe('count-up text', () => {
+    it('merges the step delays into a style the text already has', () => {
+        const svg = countUpText('+50', 'class="stat" style="fill: green"', { animate: true });
+
+        assert.match(svg, /style="fill: green; animation-delay: 0s"/);
+        assert.doesNotMatch(svg, /style="[^"]*"[^>]*style="/);
+    });
+
+    it('adds a style when the text has none', () => {
+        assert.equal(withStyle('class="stat"', 'animation-delay: 1s'), 'class="stat" style="animation-delay: 1s"');
+        assert.equal(withStyle('style="fill: red;"', 'animation-delay: 1s'), 'style="fill: red; animation-delay: 1s"');
+    });
+});
+
+describe('stat boxes', () => {
+    it('render animated, colored stats as valid SVG', () => {
+        const stats = [
+            { label: 'Contribution', value: '+50', color: 'green' },
+            { label: 'Rank', value: '#1', color: '#FF0000' },
+            { label: 'Rating', value: '3000' },
+            { label: 'Handle', value: 'tourist', color: 'blue' }
+        ];
+        const body = renderStatBoxes(stats, profileLayout().slots, 'fill="white"', { animate: true });
+
+        assert.doesNotThrow(() => new Resvg(svgDocument(body)));
+    });
+});
+
+describe('animate option', () => {
+    it('only animates SVG output', () => {
+        assert.equal(parseAnimate({ animate: 'true' }), true);
+        assert.equal(parseAnimate({ animate: 'true', format: 'SVG' }), true);
+        assert.equal(parseAnimate({ animate: 'true', format: 'png' }), false);
+        assert.equal(parseAnimate({ animate: 'true', format: 'webp' }), false);
+        assert.equal(parseAnimate({ format: 'svg' }), false);
+    });
+});
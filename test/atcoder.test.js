@@ -0,0 +1,203 @@
+// test/atcoder.test.js
+// The AtCoder adapter against fixtures in the format atcoder.jp and the AtCoder Problems API return.
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const atcoder = require('../platforms/atcoder');
+
+const history = require('./fixtures/atcoder/history.json');
+const acRank = require('./fixtures/atcoder/ac_rank.json');
+const submissions = require('./fixtures/atcoder/submissions.json');
+
+// The adapter leaves a second between AtCoder Problems calls. Each mocked call moves the
+// clock on by a second, so the tests do not have to wait.
+const realNow = Date.now;
+let clockOffset = 0;
+
+// Answers the three AtCoder endpoints from `responses`; a function value is called with the params
+function mockAtcoder(responses = {}) {
+    const { history: historyData = history, acRank: acRankData = acRank, submissions: submissionData = submissions } = responses;
+    const answer = (value, params) => (typeof value === 'function' ? value(params) : { data: value });
+
+    mock.method(Date, 'now', () => realNow() + clockOffset);
+    return mock.method(axios, 'get', async (url, { params } = {}) => {
+        clockOffset += 1000;
+        if (/atcoder\.jp\/users\/[^/]+\/history\/json$/.test(url)) {
+            return answer(historyData, params);
+        }
+        if (url.endsWith('/user/ac_rank')) {
+            return answer(acRankData, params);
+        }
+        if (url.endsWith('/user/submissions')) {
+            return answer(submissionData, params);
+        }
+        throw new Error(`unexpected request to ${url}`);
+    });
+}
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers }
+});
+
+// Every test uses its own handle, since the adapter caches per handle
+let handleCount = 0;
+const nextHandle = () => `fixture_user_${++handleCount}`;
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+describe('AtCoder adapter', () => {
+    it('builds the profile from rated contests and the accepted count', async () => {
+        mockAtcoder();
+        const handle = nextHandle();
+
+        assert.deepEqual(await atcoder.fetchProfile(handle), {
+            handle,
+            name: handle,
+            avatar: null,
+            rating: 1187,
+            maxRating: 1253,
+            rank: 'green',
+            maxRank: 'cyan',
+            country: null,
+            organization: null,
+            contests: 5,
+            solved: 214
+        });
+    });
+
+    it('lists rated contests oldest first with deltas and English names', async () => {
+        mockAtcoder();
+        const ratings = await atcoder.fetchRatingHistory(nextHandle());
+
+        assert.equal(ratings.length, 5);
+        assert.deepEqual(ratings[0], {
+            time: Date.parse('2021-01-30T13:40:00Z') / 1000,
+            rating: 318,
+            delta: 318,
+            rank: 3104,
+            contestName: 'AtCoder Beginner Contest 190'
+        });
+        assert.equal(ratings[4].delta, -66);
+        assert.equal(ratings[4].contestName, 'Mynavi Programming Contest 2021(AtCoder Beginner Contest 201)');
+        assert.ok(ratings.every((r, i) => i === 0 || r.time > ratings[i - 1].time));
+    });
+
+    it('counts distinct accepted problems per day in the requested time zone', async () => {
+        mockAtcoder();
+        const handle = nextHandle();
+
+        assert.deepEqual(await atcoder.fetchActivity(handle, { timeZone: 'UTC' }), new Map([
+            ['2021-05-12', 2],
+            ['2021-05-14', 1]
+        ]));
+        assert.deepEqual([...(await atcoder.fetchActivity(handle, { timeZone: 'Pacific/Kiritimati' })).keys()], ['2021-05-13', '2021-05-15']);
+    });
+
+    it('reports the latest contest or submission as last modified', async () => {
+        mockAtcoder();
+        assert.equal(await atcoder.fetchLastModified(nextHandle()), Date.parse('2021-05-15T13:40:00Z') / 1000);
+
+        mock.restoreAll();
+        mockAtcoder({ history: history.slice(0, 3) });
+        assert.equal(await atcoder.fetchLastModified(nextHandle()), 1620998100);
+    });
+
+    it('pages through submissions until a short page', async () => {
+        const now = Math.floor(Date.now() / 1000);
+        const recent = Array.from({ length: 700 }, (_, i) => ({
+            ...submissions[0],
+            id: i,
+            epoch_second: now - 1000 + i,
+            problem_id: `abc300_${i}`
+        }));
+        const get = mockAtcoder({
+            submissions: ({ from_second: fromSecond }) => ({
+                data: recent.filter(sub => sub.epoch_second >= fromSecond).slice(0, 500)
+            })
+        });
+
+        const activity = await atcoder.fetchActivity(nextHandle(), { timeZone: 'UTC' });
+        const pages = get.mock.calls.filter(call => call.arguments[0].endsWith('/user/submissions'));
+
+        assert.equal(pages.length, 2);
+        assert.equal(pages[1].arguments[1].params.from_second, now - 1000 + 499);
+        assert.equal([...activity.values()].reduce((sum, count) => sum + count, 0), 700);
+    });
+
+    it('keeps submissions that share the second a page ends on', async () => {
+        const now = Math.floor(Date.now() / 1000);
+        const recent = Array.from({ length: 700 }, (_, i) => ({
+            ...submissions[0],
+            id: i,
+            epoch_second: now - 1000 + Math.min(Math.max(i, 497), 502),
+            problem_id: `abc300_${i}`
+        }));
+        mockAtcoder({
+            submissions: ({ from_second: fromSecond }) => ({
+                data: recent.filter(sub => sub.epoch_second >= fromSecond).slice(0, 500)
+            })
+        });
+
+        const activity = await atcoder.fetchActivity(nextHandle(), { timeZone: 'UTC' });
+        assert.equal([...activity.values()].reduce((sum, count) => sum + count, 0), 700);
+    });
+
+    it('stops paging after 20 pages', async () => {
+        let next = 0;
+        const get = mockAtcoder({
+            submissions: () => ({
+                data: Array.from({ length: 500 }, () => ({ ...submissions[0], id: next, epoch_second: 1600000000 + next++ }))
+            })
+        });
+
+        await atcoder.fetchActivity(nextHandle(), { timeZone: 'UTC' });
+        assert.equal(get.mock.calls.filter(call => call.arguments[0].endsWith('/user/submissions')).length, 20);
+    });
+
+    it('reports an unknown handle as not found', async () => {
+        mockAtcoder({ history: () => { throw httpError(404); } });
+        await assert.rejects(atcoder.fetchProfile('no_such_user'), { type: 'USER_NOT_FOUND', status: 404 });
+    });
+
+    it('rejects a history that is not a list', async () => {
+        mockAtcoder({ history: '<!DOCTYPE html><html></html>' });
+        await assert.rejects(atcoder.fetchProfile(nextHandle()), { type: 'UPSTREAM_ERROR', status: 502 });
+    });
+
+    it('maps timeouts and rate limits from either API', async () => {
+        mockAtcoder({ acRank: () => { throw Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' }); } });
+        await assert.rejects(atcoder.fetchProfile(nextHandle()), { type: 'UPSTREAM_TIMEOUT', status: 504 });
+
+        mock.restoreAll();
+        mockAtcoder({ submissions: () => { throw httpError(429, { 'retry-after': '7' }); } });
+        await assert.rejects(atcoder.fetchProfile(nextHandle()), { type: 'UPSTREAM_RATE_LIMITED', retryAfter: 7 });
+    });
+});
+
+describe('AtCoder tiers', () => {
+    it('maps ratings to colors at the tier boundaries', () => {
+        const cases = [[-50, 'gray'], [0, 'gray'], [399, 'gray'], [400, 'brown'], [799, 'brown'], [800, 'green'],
+            [1200, 'cyan'], [1600, 'blue'], [2000, 'yellow'], [2400, 'orange'], [2799, 'orange'], [2800, 'red'], [4000, 'red']];
+        cases.forEach(([rating, name]) => {
+            assert.equal(atcoder.getTier(rating).name, name, `rating ${rating}`);
+        });
+    });
+
+    it('covers every rating with one tier, highest first', () => {
+        atcoder.tiers.forEach((tier, i) => {
+            if (i > 0) {
+                assert.equal(tier.max, atcoder.tiers[i - 1].min);
+            }
+        });
+        assert.equal(atcoder.tiers[0].max, Infinity);
+        assert.equal(atcoder.tiers[atcoder.tiers.length - 1].min, -Infinity);
+    });
+
+    it('colors ranks by tier name', () => {
+        assert.equal(atcoder.getRankColor('cyan'), '#00C0C0');
+        assert.equal(atcoder.getRankColor('red'), '#FF0000');
+        assert.equal(atcoder.getRankColor('unrated'), '#000000');
+    });
+});
@@ -0,0 +1,227 @@
+// test/cache.test.js
+// The cache's freshness rules and each store backend: memory, filesystem, and Redis through
+// the in-memory stand-in.
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCache, createMemoryStore, createFileStore, createRedisStore } = require('../utils/cache');
+const { createRedisStandIn } = require('./support/redis-stand-in');
+
+const TTL = 1000;
+const STALE_WHILE_REVALIDATE = 2000;
+const STALE_IF_ERROR = 5000;
+
+const tempDirs = [];
+const backends = {
+    memory: ({ maxEntries } = {}) => createMemoryStore({ maxEntries }),
+    fs: ({ maxEntries } = {}) => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cp-card-cache-test-'));
+        tempDirs.push(dir);
+        return createFileStore({ dir, maxEntries });
+    },
+    redis: ({ maxEntries } = {}) => createRedisStore({ client: createRedisStandIn(), maxEntries })
+};
+
+// Date.now() under test control. The file store orders entries by file mtime, which follows
+// the real clock, so `tick` also lets a few real milliseconds pass.
+let clock;
+const tick = async (ms = 1) => {
+    clock += ms;
+    await new Promise(resolve => setTimeout(resolve, 5));
+};
+
+// Resolves once `check` passes, for work the cache finishes in the background
+async function eventually(check) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        if (await check()) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    assert.fail('condition not met in time');
+}
+
+// A fetcher that records its calls and resolves or rejects when told to
+function createFetcher() {
+    const fetcher = () => {
+        fetcher.calls++;
+        return new Promise((resolve, reject) => {
+            fetcher.pending.push({ resolve, reject });
+        });
+    };
+    fetcher.calls = 0;
+    fetcher.pending = [];
+    fetcher.resolve = value => fetcher.pending.shift().resolve(value);
+    fetcher.reject = error => fetcher.pending.shift().reject(error);
+    return fetcher;
+}
+
+beforeEach(() => {
+    clock = 1700000000000;
+    mock.method(Date, 'now', () => clock);
+    // Background refresh failures and stale fallbacks are logged; keep test output clean
+    mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    tempDirs.splice(0).forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+Object.entries(backends).forEach(([name, createStore]) => {
+    describe(`${name} cache`, () => {
+        const newCache = () => createCache({
+            store: createStore(),
+            ttl: TTL,
+            staleWhileRevalidate: STALE_WHILE_REVALIDATE,
+            staleIfError: STALE_IF_ERROR
+        });
+
+        // Stores `value` under `key` through a completed fetch
+        async function prime(cache, key, value) {
+            const fetcher = createFetcher();
+            const pending = cache.wrap(key, fetcher);
+            await eventually(() => fetcher.pending.length === 1);
+            fetcher.resolve(value);
+            assert.equal(await pending, value);
+        }
+
+        it('serves fresh entries without fetching', async () => {
+            const cache = newCache();
+            await prime(cache, 'user:a', 'first');
+            await tick(TTL - 1);
+
+            const fetcher = createFetcher();
+            assert.equal(await cache.wrap('user:a', fetcher), 'first');
+            assert.equal(fetcher.calls, 0);
+        });
+
+        it('shares one fetch between concurrent misses', async () => {
+            const cache = newCache();
+            const fetcher = createFetcher();
+
+            const results = Promise.all([1, 2, 3].map(() => cache.wrap('user:b', fetcher)));
+            await eventually(() => fetcher.pending.length === 1);
+            fetcher.resolve('shared');
+
+            assert.deepEqual(await results, ['shared', 'shared', 'shared']);
+            assert.equal(fetcher.calls, 1);
+        });
+
+        it('shares a failed fetch too, and tries again on the next miss', async () => {
+            const cache = newCache();
+            const fetcher = createFetcher();
+
+            const results = Promise.allSettled([1, 2].map(() => cache.wrap('user:c', fetcher)));
+            await eventually(() => fetcher.pending.length === 1);
+            fetcher.reject(new Error('upstream down'));
+            assert.deepEqual((await results).map(result => result.status), ['rejected', 'rejected']);
+
+            const retry = cache.wrap('user:c', fetcher);
+            await eventually(() => fetcher.pending.length === 1);
+            fetcher.resolve('recovered');
+            assert.equal(await retry, 'recovered');
+            assert.equal(fetcher.calls, 2);
+        });
+
+        it('serves stale entries while one background refresh runs', async () => {
+            const cache = newCache();
+            await prime(cache, 'user:d', 'old');
+            await tick(TTL + 1);
+
+            const fetcher = createFetcher();
+            assert.equal(await cache.wrap('user:d', fetcher), 'old');
+            assert.equal(await cache.wrap('user:d', fetcher), 'old');
+            await eventually(() => fetcher.pending.length === 1);
+            assert.equal(fetcher.calls, 1);
+
+            fetcher.resolve('new');
+            await eventually(async () => (await cache.get('user:d')) === 'new');
+            assert.equal(await cache.wrap('user:d', createFetcher()), 'new');
+        });
+
+        it('keeps the stale entry when a background refresh fails', async () => {
+            const cache = newCache();
+            await prime(cache, 'user:e', 'old');
+            await tick(TTL + 1);
+
+            const fetcher = createFetcher();
+            assert.equal(await cache.wrap('user:e', fetcher), 'old');
+            await eventually(() => fetcher.pending.length === 1);
+            fetcher.reject(new Error('upstream down'));
+            await eventually(() => console.error.mock.calls.length > 0);
+
+            assert.equal(await cache.get('user:e'), 'old');
+        });
+
+        it('falls back to the stale entry on error, up to the stale-if-error limit', async () => {
+            const cache = newCache();
+            await prime(cache, 'user:f', 'old');
+            await tick(TTL + STALE_WHILE_REVALIDATE + 1);
+
+            const failing = () => Promise.reject(new Error('upstream down'));
+            assert.equal(await cache.wrap('user:f', failing), 'old');
+
+            await tick(STALE_IF_ERROR - STALE_WHILE_REVALIDATE);
+            await assert.rejects(cache.wrap('user:f', failing), /upstream down/);
+        });
+
+        it('fetches again once an entry is past revalidation', async () => {
+            const cache = newCache();
+            await prime(cache, 'user:g', 'old');
+            await tick(TTL + STALE_WHILE_REVALIDATE + 1);
+
+            const fetcher = createFetcher();
+            const pending = cache.wrap('user:g', fetcher);
+            await eventually(() => fetcher.pending.length === 1);
+            fetcher.resolve('new');
+            assert.equal(await pending, 'new');
+        });
+
+        it('forgets entries after their lifetime', async () => {
+            const cache = newCache();
+            await prime(cache, 'user:h', 'old');
+            await tick(TTL + STALE_IF_ERROR);
+
+            assert.equal(await cache.get('user:h'), null);
+        });
+
+        it('evicts the least recently used entry', async () => {
+            const store = createStore({ maxEntries: 2 });
+            await store.set('a', { value: 'a' }, 60000);
+            await tick();
+            await store.set('b', { value: 'b' }, 60000);
+            await tick();
+            assert.deepEqual(await store.get('a'), { value: 'a' });
+            await tick();
+            await store.set('c', { value: 'c' }, 60000);
+
+            assert.deepEqual(await store.get('a'), { value: 'a' });
+            assert.equal(await store.get('b'), null);
+            assert.deepEqual(await store.get('c'), { value: 'c' });
+        });
+
+        it('deletes entries', async () => {
+            const store = createStore();
+            await store.set('a', { value: 'a' }, 60000);
+            await store.delete('a');
+            assert.equal(await store.get('a'), null);
+        });
+    });
+});
+
+describe('cache with a failing store', () => {
+    it('still fetches when the store cannot be read or written', async () => {
+        const broken = {
+            get: () => Promise.reject(new Error('connection refused')),
+            set: () => Promise.reject(new Error('connection refused')),
+            delete: () => Promise.reject(new Error('connection refused'))
+        };
+        const cache = createCache({ store: broken, ttl: TTL });
+
+        assert.equal(await cache.wrap('user:i', async () => 'live'), 'live');
+        assert.equal(await cache.get('user:i'), null);
+    });
+});
@@ -0,0 +1,29 @@
+// test/combined.test.js
+// The combined card only adds up counts of the same unit.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateCombinedSVG } = require('../cards/combined');
+const { getPlatform } = require('../platforms');
+
+const profile = solved => ({ handle: 'someone', rank: 'newbie', rating: 0, maxRating: 0, contests: 0, solved });
+
+describe('combined card', () => {
+    it('leaves CodeChef submissions out of the problems solved total', () => {
+        const svg = generateCombinedSVG([
+            { adapter: getPlatform('cf'), handle: 'someone', profile: profile(45), activity: new Map() },
+            { adapter: getPlatform('cc'), handle: 'someone', profile: profile(543), activity: new Map() }
+        ]);
+
+        assert.match(svg, />45<\/text>\s*<text[^>]*>total problems solved</);
+        assert.match(svg, />543<\/text>\s*<text[^>]*>Submissions</);
+    });
+
+    it('totals submissions when CodeChef is the only platform shown', () => {
+        const svg = generateCombinedSVG([
+            { adapter: getPlatform('cc'), handle: 'someone', profile: profile(543), activity: new Map() }
+        ]);
+
+        assert.match(svg, />543<\/text>\s*<text[^>]*>total submissions</);
+        assert.match(svg, />Submissions, last 26 weeks</);
+    });
+});
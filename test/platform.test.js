@@ -0,0 +1,30 @@
+// test/platform.test.js
+// The generic cards every platform adapter gets.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { generatePlatformProfileSVG } = require('../cards/platform');
+const { measureText } = require('../utils/text');
+const atcoder = require('../platforms/atcoder');
+
+describe('generic profile card', () => {
+    it('truncates a long handle and affiliation to the card', async () => {
+        const svg = await generatePlatformProfileSVG({
+            handle: 'a_very_long_handle_that_would_run_past_the_card_edge',
+            avatar: null,
+            rating: 2050,
+            maxRating: 2050,
+            rank: 'yellow',
+            country: 'The United Kingdom of Great Britain and Northern Ireland',
+            organization: 'A University With A Very Long Name',
+            contests: 25,
+            solved: 321
+        }, atcoder);
+
+        const title = /class="title"[^>]*>([^<]*)</.exec(svg)[1];
+        const info = /class="info"[^>]*>([^<]*)</.exec(svg)[1];
+        assert.ok(title.endsWith('…'));
+        assert.ok(info.endsWith('…'));
+        assert.ok(measureText(title, { size: 24, weight: 700 }) <= 460);
+        assert.ok(measureText(info, { size: 14 }) <= 460);
+    });
+});
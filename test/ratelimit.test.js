@@ -0,0 +1,39 @@
+// test/ratelimit.test.js
+// Per-handle limits, driven through the middleware with minimal request and response objects.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../utils/ratelimit');
+
+// Runs one request through `middleware` and reports whether it was let through
+function send(middleware, path, query = {}) {
+    const req = { path, query, ip: '203.0.113.7', headers: {} };
+    const res = { setHeader: () => {} };
+    let passed = false;
+    middleware(req, res, () => {
+        passed = true;
+    });
+    return passed;
+}
+
+describe('handle rate limit', () => {
+    it('limits each handle separately', () => {
+        const middleware = createRateLimiter({ ipLimit: 0, handleLimit: 1 }).middleware(() => {});
+
+        assert.equal(send(middleware, '/cf/tourist/profile'), true);
+        assert.equal(send(middleware, '/cf/tourist/graph'), false);
+        assert.equal(send(middleware, '/cf/Petr/graph'), true);
+    });
+
+    it('counts a compare list once per handle, up to the compare maximum', () => {
+        const middleware = createRateLimiter({ ipLimit: 0, handleLimit: 1, maxKeys: 10 }).middleware(() => {});
+        assert.equal(send(middleware, '/cf/tourist/profile'), true);
+
+        // Thousands of names would otherwise push tourist's counter out of the window
+        const handles = ['Petr', 'petr', ...Array.from({ length: 5000 }, (_, i) => `user${i}`)].join(',');
+        assert.equal(send(middleware, '/cf/compare/graph', { handles }), true);
+
+        assert.equal(send(middleware, '/cf/tourist/profile'), false);
+        assert.equal(send(middleware, '/cf/user3/profile'), false);
+        assert.equal(send(middleware, '/cf/user4/profile'), true);
+    });
+});
@@ -0,0 +1,61 @@
+// test/render.test.js
+// Conditional requests for cards, through a small express app.
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { sendCardIfChanged } = require('../utils/render');
+
+const LAST_ACTIVITY = Date.parse('2026-03-01T12:00:00Z') / 1000;
+const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"/>';
+
+// Plain http rather than fetch, which marks conditional requests no-cache
+function request(url, headers = {}) {
+    return new Promise((resolve, reject) => {
+        http.get(url, { headers }, res => {
+            res.resume();
+            res.on('end', () => resolve(res));
+        }).on('error', reject);
+    });
+}
+
+describe('sendCardIfChanged', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const app = express();
+        app.get('/card', (req, res) => sendCardIfChanged(req, res, { inputs: [], lastModified: LAST_ACTIVITY }, () => svg));
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/card`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const at = iso => mock.method(Date, 'now', () => Date.parse(iso));
+
+    it('sends the later of the last activity and the start of the day as Last-Modified', async () => {
+        at('2026-03-01T15:00:00Z');
+        assert.equal((await request(baseUrl)).headers['last-modified'], 'Sun, 01 Mar 2026 12:00:00 GMT');
+
+        at('2026-03-05T15:00:00Z');
+        assert.equal((await request(baseUrl)).headers['last-modified'], 'Thu, 05 Mar 2026 00:00:00 GMT');
+        assert.equal((await request(`${baseUrl}?tz=Asia/Kolkata`)).headers['last-modified'], 'Wed, 04 Mar 2026 18:30:00 GMT');
+    });
+
+    it('does not answer If-Modified-Since from an earlier day with 304', async () => {
+        at('2026-03-04T15:00:00Z');
+        const modified = (await request(baseUrl)).headers['last-modified'];
+        assert.equal((await request(baseUrl, { 'If-Modified-Since': modified })).statusCode, 304);
+
+        at('2026-03-05T00:00:01Z');
+        assert.equal((await request(baseUrl, { 'If-Modified-Since': modified })).statusCode, 200);
+    });
+});
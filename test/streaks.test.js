@@ -0,0 +1,37 @@
+// test/streaks.test.js
+// Day keys and the date arithmetic the streak windows rely on.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { shiftDayKey, startOfDay, toDayKey } = require('../utils/streaks');
+
+describe('shiftDayKey', () => {
+    it('shifts by days across month and year ends', () => {
+        assert.equal(shiftDayKey('2026-03-01', { days: -1 }), '2026-02-28');
+        assert.equal(shiftDayKey('2025-12-31', { days: 1 }), '2026-01-01');
+    });
+
+    it('keeps month and year shifts within the target month', () => {
+        assert.equal(shiftDayKey('2026-03-31', { months: -1 }), '2026-02-28');
+        assert.equal(shiftDayKey('2024-03-31', { months: -1 }), '2024-02-29');
+        assert.equal(shiftDayKey('2026-05-31', { months: -1 }), '2026-04-30');
+        assert.equal(shiftDayKey('2026-01-31', { months: -1 }), '2025-12-31');
+        assert.equal(shiftDayKey('2024-02-29', { years: -1 }), '2023-02-28');
+        assert.equal(shiftDayKey('2026-03-15', { months: -1 }), '2026-02-15');
+    });
+});
+
+describe('startOfDay', () => {
+    it('finds local midnight, including on daylight saving days', () => {
+        const cases = [
+            ['2026-10-19T10:00:00Z', 'UTC', '2026-10-19T00:00:00.000Z'],
+            ['2026-10-19T10:00:00Z', 'Asia/Kolkata', '2026-10-18T18:30:00.000Z'],
+            ['2026-03-08T15:00:00Z', 'America/New_York', '2026-03-08T05:00:00.000Z'],
+            ['2026-11-01T15:00:00Z', 'America/New_York', '2026-11-01T04:00:00.000Z']
+        ];
+        cases.forEach(([now, timeZone, expected]) => {
+            const start = startOfDay(Date.parse(now) / 1000, timeZone);
+            assert.equal(new Date(start * 1000).toISOString(), expected, `${now} in ${timeZone}`);
+            assert.notEqual(toDayKey(start - 1, timeZone), toDayKey(start, timeZone));
+        });
+    });
+});
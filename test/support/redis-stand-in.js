@@ -0,0 +1,60 @@
+// test/support/redis-stand-in.js
+// In-memory stand-in for the node-redis v4 client, covering the commands the Redis cache
+// store uses. Expiry follows Date.now(), so tests can move the clock.
+
+function createRedisStandIn() {
+    const strings = new Map();
+    const sortedSets = new Map();
+
+    const expired = key => {
+        const item = strings.get(key);
+        if (item && item.expiresAt !== null && Date.now() >= item.expiresAt) {
+            strings.delete(key);
+        }
+    };
+    const list = value => (Array.isArray(value) ? value : [value]);
+    const sortedSet = key => {
+        if (!sortedSets.has(key)) {
+            sortedSets.set(key, new Map());
+        }
+        return sortedSets.get(key);
+    };
+    // Members by score, ties broken by member as Redis does
+    const ordered = key => [...sortedSet(key)]
+        .sort(([a, scoreA], [b, scoreB]) => scoreA - scoreB || (a < b ? -1 : a > b ? 1 : 0))
+        .map(([member]) => member);
+
+    return {
+        get: async key => {
+            expired(key);
+            return strings.has(key) ? strings.get(key).value : null;
+        },
+        set: async (key, value, { PX } = {}) => {
+            strings.set(key, { value: String(value), expiresAt: PX ? Date.now() + PX : null });
+            return 'OK';
+        },
+        del: async keys => list(keys).reduce((count, key) => {
+            expired(key);
+            return count + (strings.delete(key) ? 1 : 0);
+        }, 0),
+        zAdd: async (key, members) => list(members).reduce((added, { score, value }) => {
+            const set = sortedSet(key);
+            const isNew = !set.has(value);
+            set.set(value, score);
+            return added + (isNew ? 1 : 0);
+        }, 0),
+        zCard: async key => sortedSet(key).size,
+        // Inclusive range; negative indexes count from the end
+        zRange: async (key, start, stop) => {
+            const members = ordered(key);
+            const from = start < 0 ? members.length + start : start;
+            const to = stop < 0 ? members.length + stop : stop;
+            return members.slice(Math.max(0, from), to + 1);
+        },
+        zRem: async (key, members) => list(members).reduce((removed, member) => (
+            removed + (sortedSet(key).delete(member) ? 1 : 0)
+        ), 0)
+    };
+}
+
+module.exports = { createRedisStandIn };
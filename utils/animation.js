@@ -0,0 +1,77 @@
+// utils/animation.js
+// CSS animations for `?animate=true`. CSS rather than SMIL so a single prefers-reduced-motion
+// rule can turn all of them off. Every animation ends on the static card.
+const { escapeXml } = require('./helpers');
+const { parseBoolean } = require('./themes');
+const { parseFormat } = require('./render');
+
+// Seconds
+const DRAW_DURATION = 1.5;
+const COUNT_DURATION = 1;
+const FADE_DURATION = 0.4;
+const COUNT_STEPS = 12;
+
+// `?animate=true` applies to SVG output only. resvg does not play CSS animations and draws
+// the draw-line dash as dots, so PNG and WebP cards are rendered without them.
+function parseAnimate(query = {}) {
+    return parseBoolean(query.animate) && parseFormat(query) === 'svg';
+}
+
+// Paths with class draw-line need pathLength="1" so one dash spans the whole line
+function animationStyles() {
+    return `
+                @keyframes draw-line { from { stroke-dashoffset: 1; } to { stroke-dashoffset: 0; } }
+                @keyframes fade-in { from { opacity: 0; } to { opacity: 1; } }
+                @keyframes count-step { from { opacity: 1; } to { opacity: 0; } }
+                @keyframes count-hide { from, to { opacity: 0; } }
+                .draw-line { stroke-dasharray: 1; animation: draw-line ${DRAW_DURATION}s ease-out both; }
+                .fade-in { animation: fade-in ${FADE_DURATION}s ease-out both; }
+                .count-step { opacity: 0; animation: count-step ${COUNT_DURATION / COUNT_STEPS}s step-end forwards; }
+                .count-final { animation: count-hide ${COUNT_DURATION}s step-end; }
+                @media (prefers-reduced-motion: reduce) {
+                    .draw-line, .fade-in, .count-step, .count-final { animation: none; }
+                }`;
+}
+
+const delayDeclaration = delay => `animation-delay: ${Number(delay.toFixed(3))}s`;
+
+// Style attribute that starts an animation `delay` seconds in
+const animationDelay = delay => `style="${delayDeclaration(delay)}"`;
+
+// `<text ${attributes}>` showing `value`. When animated, whole numbers (optionally signed or
+// starting with #) count up from zero, easing out, and anything else fades in.
+function countUpText(value, attributes, { animate = false } = {}) {
+    const text = escapeXml(value);
+    if (!animate) {
+        return `<text ${attributes}>${text}</text>`;
+    }
+    const match = /^([+#-]?)(\d+)$/.exec(String(value));
+    if (!match) {
+        return `<text ${withClass(attributes, 'fade-in')}>${text}</text>`;
+    }
+
+    const [, prefix, digits] = match;
+    const target = Number(digits);
+    const steps = Array.from({ length: COUNT_STEPS }, (_, i) => {
+        const progress = 1 - (1 - i / COUNT_STEPS) ** 3;
+        return `<text ${withStyle(withClass(attributes, 'count-step'), delayDeclaration(i * COUNT_DURATION / COUNT_STEPS))} aria-hidden="true">${escapeXml(`${prefix}${Math.round(target * progress)}`)}</text>`;
+    }).join('');
+    return `${steps}<text ${withClass(attributes, 'count-final')}>${text}</text>`;
+}
+
+// Attributes with `className` added to their class, or given one
+function withClass(attributes, className) {
+    return /\bclass="/.test(attributes)
+        ? attributes.replace(/\bclass="([^"]*)"/, `class="$1 ${className}"`)
+        : `${attributes} class="${className}"`;
+}
+
+// Attributes with `declaration` added to their style, or given one; a second style
+// attribute would make the SVG invalid
+function withStyle(attributes, declaration) {
+    return /\bstyle="/.test(attributes)
+        ? attributes.replace(/\bstyle="([^"]*)"/, (match, style) => `style="${style.replace(/[;\s]*$/, '')}; ${declaration}"`)
+        : `${attributes} style="${declaration}"`;
+}
+
+module.exports = { DRAW_DURATION, parseAnimate, animationStyles, animationDelay, countUpText, withClass, withStyle };
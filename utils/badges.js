@@ -0,0 +1,179 @@
+// utils/badges.js
+// Achievements shared by the Codeforces and CodeChef badge cards. Each platform reduces its data
+// to rated contests, solves and active days; the badges and the grid they are drawn in are the same.
+const { escapeXml } = require('./helpers');
+const { shiftDayKey, getStreakRuns } = require('./streaks');
+const { measureText, truncateText } = require('./text');
+
+const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const solveMilestones = [10, 50, 100, 250, 500, 1000];
+const streakMilestones = [7, 30, 100];
+const contestMilestones = [1, 10, 50, 100];
+const contestRankMilestones = [1000, 100, 10];
+const ratingGainMilestones = [100, 200, 300];
+
+const groupColors = {
+    solved: '#43a047',
+    streak: '#fb8c00',
+    contests: '#1e88e5',
+    contestRank: '#8e24aa',
+    ratingGain: '#e53935'
+};
+
+// Badge cell size and grid columns
+const BADGE_WIDTH = 112;
+const BADGE_HEIGHT = 104;
+const BADGE_COLUMNS = 7;
+
+const formatMonth = time => {
+    const date = new Date(time * 1000);
+    return `${monthNames[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+};
+
+const titleCase = name => name.replace(/\b\w/g, c => c.toUpperCase());
+
+// "candidate master" -> "CM", "legendary grandmaster" -> "LGM"; star bands are short enough as they are
+const tierGlyph = name => (name.length <= 3 ? name : name.replace(/grandmaster/i, 'grand master')
+    .split(' ').map(word => word[0]).join('').toUpperCase());
+
+// Unix seconds of the first item matching `test`, or null
+const firstTime = (items, test) => {
+    const match = items.find(test);
+    return match ? match.time : null;
+};
+
+// Time the running total of `solves` ({ time, count }, oldest first) first reached `target`
+function solvedAt(solves, target) {
+    let total = 0;
+    const match = solves.find(solve => (total += solve.count) >= target);
+    return match ? match.time : null;
+}
+
+// Milestone names for what `solves` counts, as in a platform adapter's activityUnit
+const solveUnits = {
+    problems: { label: target => `${target} Solved`, description: target => `Solve ${target} problems` },
+    submissions: { label: target => `${target} Submissions`, description: target => `Make ${target} submissions` }
+};
+
+// Badges earned from rated contests ({ time, rating, rank, gain }, oldest first), solves
+// ({ time, count }, oldest first) and a day map of activity, as drawn by renderBadgeGrid.
+// `tiers` are the platform's rank tiers, highest first; the starting tier is not a badge.
+// `solveUnit` is 'submissions' when a platform only reports submissions, not solved problems.
+function deriveBadges({ tiers, contests = [], solves = [], activity = new Map(), solveUnit = 'problems' }) {
+    const maxRating = Math.max(0, ...contests.map(contest => contest.rating));
+    const totalSolved = solves.reduce((sum, solve) => sum + solve.count, 0);
+    const ranks = contests.map(contest => contest.rank).filter(rank => rank > 0);
+    const bestRank = ranks.length > 0 ? Math.min(...ranks) : null;
+    const gains = contests.map(contest => contest.gain).filter(Number.isFinite);
+    const bestGain = gains.length > 0 ? Math.max(...gains) : null;
+    const runs = getStreakRuns(activity);
+    const longestStreak = Math.max(0, ...runs.map(run => run.length));
+    const unit = solveUnits[solveUnit];
+
+    const badge = (group, { glyph, label, description, color, earnedAt, progress }) => ({
+        group, glyph, label, description, color: color || groupColors[group], earnedAt, progress
+    });
+
+    return [
+        ...tiers.slice(0, -1).reverse().map(tier => badge('tier', {
+            glyph: tierGlyph(tier.name),
+            label: titleCase(tier.name),
+            description: `Reach ${titleCase(tier.name)} (${tier.min})`,
+            color: tier.color,
+            earnedAt: firstTime(contests, contest => contest.rating >= tier.min),
+            progress: `max ${maxRating}`
+        })),
+        ...solveMilestones.map(target => badge('solved', {
+            glyph: String(target),
+            label: unit.label(target),
+            description: unit.description(target),
+            earnedAt: solvedAt(solves, target),
+            progress: `${totalSolved}/${target}`
+        })),
+        ...streakMilestones.map(target => {
+            const run = runs.find(({ length }) => length >= target);
+            return badge('streak', {
+                glyph: `${target}d`,
+                label: `${target}-Day Streak`,
+                description: `Be active ${target} days in a row`,
+                earnedAt: run ? Date.parse(shiftDayKey(run.start, { days: target - 1 })) / 1000 : null,
+                progress: `best ${longestStreak}/${target}`
+            });
+        }),
+        ...contestMilestones.map(target => badge('contests', {
+            glyph: String(target),
+            label: target === 1 ? 'First Contest' : `${target} Contests`,
+            description: `Take part in ${target} rated contest${target === 1 ? '' : 's'}`,
+            earnedAt: contests.length >= target ? contests[target - 1].time : null,
+            progress: `${contests.length}/${target}`
+        })),
+        ...contestRankMilestones.map(target => badge('contestRank', {
+            glyph: `#${target}`,
+            label: `Top ${target}`,
+            description: `Finish a rated contest in the top ${target}`,
+            earnedAt: firstTime(contests, contest => contest.rank > 0 && contest.rank <= target),
+            progress: bestRank ? `best #${bestRank}` : 'no rank yet'
+        })),
+        ...ratingGainMilestones.map(target => badge('ratingGain', {
+            glyph: `+${target}`,
+            label: `+${target} Rating`,
+            description: `Gain ${target} rating in a single contest`,
+            earnedAt: firstTime(contests, contest => contest.gain >= target),
+            progress: bestGain !== null ? `best ${bestGain > 0 ? '+' : ''}${bestGain}` : 'no change yet'
+        }))
+    ];
+}
+
+// Badge name in up to two lines of `maxWidth` px, breaking between words
+function labelLines(label, maxWidth, font) {
+    const words = label.split(' ');
+    let first = words[0];
+    let rest = words.slice(1);
+    while (rest.length > 0 && measureText(`${first} ${rest[0]}`, font) <= maxWidth) {
+        first = `${first} ${rest[0]}`;
+        rest = rest.slice(1);
+    }
+    return [truncateText(first, maxWidth, font), ...(rest.length > 0 ? [truncateText(rest.join(' '), maxWidth, font)] : [])];
+}
+
+// Hexagon with flat sides left and right, centered on (cx, cy)
+function hexagonPoints(cx, cy, r) {
+    return Array.from({ length: 6 }, (_, i) => {
+        const angle = Math.PI / 6 + i * Math.PI / 3;
+        return `${(cx + r * Math.cos(angle)).toFixed(1)},${(cy + r * Math.sin(angle)).toFixed(1)}`;
+    }).join(' ');
+}
+
+function badgeGridSize(count, { columns = BADGE_COLUMNS } = {}) {
+    return {
+        columns,
+        width: columns * BADGE_WIDTH,
+        height: Math.ceil(count / columns) * BADGE_HEIGHT
+    };
+}
+
+// Badges in rows of `columns`, earned ones in color with the month they were earned and locked
+// ones faded with the progress so far. Uses the badge-glyph, badge-label and badge-detail classes.
+function renderBadgeGrid(badges, theme, { x = 0, y = 0, columns = BADGE_COLUMNS } = {}) {
+    const font = { size: 11, weight: 600 };
+    const cx = BADGE_WIDTH / 2;
+
+    return badges.map((badge, i) => {
+        const earned = badge.earnedAt !== null;
+        const lines = labelLines(badge.label, BADGE_WIDTH - 8, font);
+        const tooltip = `${badge.description}: ${earned ? `earned ${formatMonth(badge.earnedAt)}` : `locked, ${badge.progress}`}`;
+
+        return `
+        <g transform="translate(${x + (i % columns) * BADGE_WIDTH}, ${y + Math.floor(i / columns) * BADGE_HEIGHT})" opacity="${earned ? 1 : 0.55}">
+            <title>${escapeXml(tooltip)}</title>
+            <polygon points="${hexagonPoints(cx, 28, 25)}" fill="${earned ? badge.color : theme.surface}"
+                     stroke="${earned ? badge.color : theme.grid}" stroke-width="2"${earned ? '' : ' stroke-dasharray="4 3"'}/>
+            <text class="badge-glyph" x="${cx}" y="33" text-anchor="middle" fill="${earned ? '#ffffff' : theme.muted}">${escapeXml(badge.glyph)}</text>
+            ${lines.map((line, l) => `<text class="badge-label" x="${cx}" y="${70 + l * 13}" text-anchor="middle">${escapeXml(line)}</text>`).join('')}
+            <text class="badge-detail" x="${cx}" y="${lines.length > 1 ? 98 : 86}" text-anchor="middle">${escapeXml(earned ? formatMonth(badge.earnedAt) : badge.progress)}</text>
+        </g>`;
+    }).join('');
+}
+
+module.exports = { deriveBadges, badgeGridSize, renderBadgeGrid };
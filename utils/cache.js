@@ -0,0 +1,274 @@
+// utils/cache.js
+// Shared response cache with pluggable backends (memory, filesystem, Redis).
+// Entries outlive their TTL so they can still be served while a refresh runs
+// (stale-while-revalidate) or when the upstream is down (stale-if-error).
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_TTL = 5 * 60 * 1000;
+const DEFAULT_STALE_WHILE_REVALIDATE = 60 * 60 * 1000;
+const DEFAULT_STALE_IF_ERROR = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 500;
+
+// In-process LRU: a Map keeps insertion order, so re-inserting on read moves a key to the back
+function createMemoryStore({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    const entries = new Map();
+
+    return {
+        async get(key) {
+            const item = entries.get(key);
+            if (!item) {
+                return null;
+            }
+            if (Date.now() >= item.expiresAt) {
+                entries.delete(key);
+                return null;
+            }
+            entries.delete(key);
+            entries.set(key, item);
+            return item.entry;
+        },
+        async set(key, entry, lifetime) {
+            entries.delete(key);
+            entries.set(key, { entry, expiresAt: Date.now() + lifetime });
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        async delete(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+// One JSON file per key. Reads bump the file's mtime, so evicting the oldest mtime is LRU.
+function createFileStore({ dir = path.join(os.tmpdir(), 'cp-card-cache'), maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    const fileFor = key => path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+    let ready;
+
+    const ensureDir = () => {
+        if (!ready) {
+            ready = fs.promises.mkdir(dir, { recursive: true });
+        }
+        return ready;
+    };
+
+    const evict = async () => {
+        const names = (await fs.promises.readdir(dir)).filter(name => name.endsWith('.json'));
+        if (names.length <= maxEntries) {
+            return;
+        }
+        const files = await Promise.all(names.map(async name => {
+            const file = path.join(dir, name);
+            try {
+                return { file, mtime: (await fs.promises.stat(file)).mtimeMs };
+            } catch (error) {
+                return null;
+            }
+        }));
+        const oldest = files
+            .filter(Boolean)
+            .sort((a, b) => a.mtime - b.mtime)
+            .slice(0, names.length - maxEntries);
+        await Promise.all(oldest.map(({ file }) => fs.promises.rm(file, { force: true })));
+    };
+
+    return {
+        async get(key) {
+            const file = fileFor(key);
+            let item;
+            try {
+                item = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            } catch (error) {
+                return null;
+            }
+            if (Date.now() >= item.expiresAt) {
+                await fs.promises.rm(file, { force: true });
+                return null;
+            }
+            const now = new Date();
+            await fs.promises.utimes(file, now, now).catch(() => {});
+            return item.entry;
+        },
+        async set(key, entry, lifetime) {
+            await ensureDir();
+            // Write then rename so concurrent readers never see a half-written file
+            const file = fileFor(key);
+            const tmp = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+            await fs.promises.writeFile(tmp, JSON.stringify({ key, entry, expiresAt: Date.now() + lifetime }));
+            await fs.promises.rename(tmp, file);
+            await evict();
+        },
+        async delete(key) {
+            await fs.promises.rm(fileFor(key), { force: true });
+        }
+    };
+}
+
+// Redis expires keys itself; a sorted set of last-access times bounds the key count.
+// `client` may be any object with the node-redis v4 command methods used below,
+// which lets a local stand-in replace a real server.
+function createRedisStore({ client, url = process.env.REDIS_URL, prefix = 'cp-card:', maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    const indexKey = `${prefix}__lru`;
+    let connection;
+
+    const getClient = () => {
+        if (!connection) {
+            if (client) {
+                connection = Promise.resolve(client);
+            } else {
+                // Only required when the Redis backend is actually selected
+                const { createClient } = require('redis');
+                const redis = createClient({ url });
+                redis.on('error', error => console.error('Redis cache error:', error.message));
+                connection = redis.connect().then(() => redis);
+            }
+        }
+        return connection;
+    };
+
+    const touch = async (redis, key) => {
+        await redis.zAdd(indexKey, { score: Date.now(), value: key });
+        const excess = (await redis.zCard(indexKey)) - maxEntries;
+        if (excess > 0) {
+            const evicted = await redis.zRange(indexKey, 0, excess - 1);
+            await redis.del(evicted);
+            await redis.zRem(indexKey, evicted);
+        }
+    };
+
+    return {
+        async get(key) {
+            const redis = await getClient();
+            const raw = await redis.get(prefix + key);
+            if (raw === null || raw === undefined) {
+                await redis.zRem(indexKey, prefix + key);
+                return null;
+            }
+            await touch(redis, prefix + key);
+            return JSON.parse(raw);
+        },
+        async set(key, entry, lifetime) {
+            const redis = await getClient();
+            await redis.set(prefix + key, JSON.stringify(entry), { PX: Math.ceil(lifetime) });
+            await touch(redis, prefix + key);
+        },
+        async delete(key) {
+            const redis = await getClient();
+            await redis.del(prefix + key);
+            await redis.zRem(indexKey, prefix + key);
+        }
+    };
+}
+
+function createStore(backend = process.env.CACHE_BACKEND || 'memory') {
+    const maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES;
+
+    switch (backend) {
+        case 'memory':
+            return createMemoryStore({ maxEntries });
+        case 'fs':
+            return createFileStore({ dir: process.env.CACHE_DIR || undefined, maxEntries });
+        case 'redis':
+            return createRedisStore({ maxEntries });
+        default:
+            throw new Error(`Unknown CACHE_BACKEND: ${backend}`);
+    }
+}
+
+function createCache({
+    store = createStore(),
+    ttl = DEFAULT_TTL,
+    staleWhileRevalidate = DEFAULT_STALE_WHILE_REVALIDATE,
+    staleIfError = DEFAULT_STALE_IF_ERROR
+} = {}) {
+    const inflight = new Map();
+
+    // A broken backend should cost us the cache, not the response
+    const read = async key => {
+        try {
+            return await store.get(key);
+        } catch (error) {
+            console.error(`Cache read failed for ${key}:`, error.message);
+            return null;
+        }
+    };
+
+    const write = async (key, value, options) => {
+        const entry = { value, storedAt: Date.now() };
+        const lifetime = options.ttl + Math.max(options.staleWhileRevalidate, options.staleIfError);
+        try {
+            await store.set(key, entry, lifetime);
+        } catch (error) {
+            console.error(`Cache write failed for ${key}:`, error.message);
+        }
+    };
+
+    // Concurrent misses for the same key share a single upstream fetch
+    const refresh = (key, fetcher, options) => {
+        if (!inflight.has(key)) {
+            const pending = Promise.resolve()
+                .then(fetcher)
+                .then(async value => {
+                    await write(key, value, options);
+                    return value;
+                })
+                .finally(() => inflight.delete(key));
+            inflight.set(key, pending);
+        }
+        return inflight.get(key);
+    };
+
+    // Return the cached value for `key`, calling `fetcher` when it is missing or expired
+    async function wrap(key, fetcher, overrides = {}) {
+        const options = { ttl, staleWhileRevalidate, staleIfError, ...overrides };
+        const entry = await read(key);
+        const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+        if (age < options.ttl) {
+            return entry.value;
+        }
+
+        if (age < options.ttl + options.staleWhileRevalidate) {
+            if (!inflight.has(key)) {
+                refresh(key, fetcher, options)
+                    .catch(error => console.error(`Background refresh failed for ${key}:`, error.message));
+            }
+            return entry.value;
+        }
+
+        try {
+            return await refresh(key, fetcher, options);
+        } catch (error) {
+            if (age < options.ttl + options.staleIfError) {
+                console.error(`Serving stale ${key} after upstream error:`, error.message);
+                return entry.value;
+            }
+            throw error;
+        }
+    }
+
+    return {
+        wrap,
+        get: async key => {
+            const entry = await read(key);
+            return entry ? entry.value : null;
+        },
+        set: (key, value, overrides = {}) => write(key, value, { ttl, staleWhileRevalidate, staleIfError, ...overrides }),
+        delete: key => store.delete(key)
+    };
+}
+
+// Shared instance, configured from CACHE_BACKEND / CACHE_DIR / REDIS_URL / CACHE_MAX_ENTRIES
+const cache = createCache();
+
+module.exports = {
+    cache,
+    createCache,
+    createStore,
+    createMemoryStore,
+    createFileStore,
+    createRedisStore
+};
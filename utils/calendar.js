@@ -0,0 +1,156 @@
+// utils/calendar.js
+// Calendar grid shared by the heatmap cards: which days to show, how to color them, and the
+// SVG for cells and labels. Days are 'YYYY-MM-DD' keys in the requested timezone, so the grid
+// never depends on the server's own timezone.
+const { DEFAULT_TIMEZONE, isValidTimeZone, toDayKey, shiftDayKey } = require('./streaks');
+const { invalidRequestError } = require('./errors');
+const { parseAnimate, animationDelay } = require('./animation');
+
+const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DEFAULT_WEEKS = 53;
+const MAX_WEEKS = 104;
+const colorScales = ['quantile', 'linear'];
+
+const weekdayOf = key => new Date(`${key}T00:00:00Z`).getUTCDay();
+
+// `colors` is a comma-separated list of hex colors, the first one for empty days
+function parseColors(value) {
+    const colors = String(value).split(',').map(color => color.trim().replace(/^#/, ''));
+    if (colors.length < 3 || colors.length > 9 || !colors.every(color => /^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color))) {
+        throw invalidRequestError('colors must be 3 to 9 hex colors, e.g. colors=ebedf0,9be9a8,40c463,216e39');
+    }
+    return colors.map(color => `#${color}`);
+}
+
+function parseCalendarOptions(query = {}) {
+    const timeZone = query.tz ? String(query.tz) : DEFAULT_TIMEZONE;
+    // `scale` already sets the raster size of PNG/WebP cards
+    const colorScale = String(query.color_scale || 'quantile');
+    const options = { timeZone, year: null, weeks: null, colorScale, colors: null, animate: parseAnimate(query) };
+
+    if (!isValidTimeZone(timeZone)) {
+        throw invalidRequestError(`Unknown time zone "${timeZone}"`);
+    }
+    if (!colorScales.includes(colorScale)) {
+        throw invalidRequestError(`color_scale must be one of: ${colorScales.join(', ')}`);
+    }
+    if (query.year !== undefined && query.weeks !== undefined) {
+        throw invalidRequestError('Use either year or weeks, not both');
+    }
+    if (query.year !== undefined) {
+        options.year = Number(query.year);
+        if (!Number.isInteger(options.year) || options.year < 2000 || options.year > 2100) {
+            throw invalidRequestError('year must be a year like 2024');
+        }
+    }
+    if (query.weeks !== undefined) {
+        options.weeks = Number(query.weeks);
+        if (!Number.isInteger(options.weeks) || options.weeks < 1 || options.weeks > MAX_WEEKS) {
+            throw invalidRequestError(`weeks must be a number between 1 and ${MAX_WEEKS}`);
+        }
+    }
+    if (query.colors !== undefined) {
+        options.colors = parseColors(query.colors);
+    }
+    return options;
+}
+
+// First and last day shown, plus how the range reads in stat labels. A year view covers
+// Jan 1 to Dec 31; otherwise the last column is the current week and the grid has `weeks` columns.
+function calendarRange({ year = null, weeks = null, timeZone = DEFAULT_TIMEZONE } = {}, now = Date.now()) {
+    if (year) {
+        return { start: `${year}-01-01`, end: `${year}-12-31`, label: `in ${year}` };
+    }
+    const end = toDayKey(now / 1000, timeZone);
+    const start = shiftDayKey(end, { days: -weekdayOf(end) - ((weeks || DEFAULT_WEEKS) - 1) * 7 });
+    return { start, end, label: weeks ? `in the last ${weeks} weeks` : 'in the last year' };
+}
+
+// Week columns (Sunday first) of the days in the range, with their values from `dayValues`
+function buildCalendar(dayValues, { start, end }) {
+    const weeks = [];
+    for (let key = start; key <= end; key = shiftDayKey(key, { days: 1 })) {
+        const weekday = weekdayOf(key);
+        if (weeks.length === 0 || weekday === 0) {
+            weeks.push([]);
+        }
+        weeks[weeks.length - 1].push({
+            date: key,
+            month: Number(key.slice(5, 7)) - 1,
+            dayOfMonth: Number(key.slice(8, 10)),
+            weekday,
+            value: dayValues.get(key) || 0
+        });
+    }
+    return weeks;
+}
+
+// Cutoffs between the non-empty palette colors. Quantiles of the active days adapt to how busy
+// the user is, so a heavy solver doesn't get a wall of the darkest color; linear splits 1..max evenly.
+function colorThresholds(values, levels, colorScale = 'quantile') {
+    const active = values.filter(value => value > 0).sort((a, b) => a - b);
+    if (active.length === 0 || levels < 2) {
+        return [];
+    }
+    return Array.from({ length: levels - 1 }, (_, i) => {
+        const fraction = (i + 1) / levels;
+        return colorScale === 'linear'
+            ? active[active.length - 1] * fraction
+            : active[Math.floor(fraction * (active.length - 1))];
+    });
+}
+
+function createColorScale(weeks, palette, colorScale) {
+    const thresholds = colorThresholds(weeks.flat().map(day => day.value), palette.length - 1, colorScale);
+    return value => (value > 0 ? palette[1 + thresholds.filter(threshold => value > threshold).length] : palette[0]);
+}
+
+function renderCalendar(weeks, { palette, colorScale = 'quantile', unit, x, y, cellSize = 10, cellPadding = 2, animate = false }) {
+    const step = cellSize + cellPadding;
+    const colorFor = createColorScale(weeks, palette, colorScale);
+
+    // Animated weeks fade in one column after another, across about a second
+    const cells = weeks.map((week, weekIndex) => {
+        const days = week.map(day => `
+        <rect x="${x + weekIndex * step}" y="${y + day.weekday * step}" width="${cellSize}" height="${cellSize}" fill="${colorFor(day.value)}" rx="2">
+            <title>${day.value} ${unit} on ${day.date}</title>
+        </rect>`).join('');
+        return animate ? `<g class="fade-in" ${animationDelay(weekIndex / weeks.length)}>${days}</g>` : days;
+    }).join('');
+
+    // Label the column holding the first day of a month, unless it would crowd the previous label
+    let lastLabelWeek = -Infinity;
+    const monthLabels = weeks.map((week, weekIndex) => {
+        const firstOfMonth = week.find(day => day.dayOfMonth === 1);
+        if (!firstOfMonth || weekIndex - lastLabelWeek < 3) {
+            return '';
+        }
+        lastLabelWeek = weekIndex;
+        return `<text x="${x + weekIndex * step}" y="${y - 8}" class="month-label">${monthNames[firstOfMonth.month]}</text>`;
+    }).join('');
+
+    const dayLabels = [[1, 'Mon'], [3, 'Wed'], [5, 'Fri']].map(([weekday, name]) => `
+        <text x="${x - 8}" y="${y + weekday * step + cellSize / 2}" text-anchor="end" dominant-baseline="middle" class="day-label">${name}</text>`).join('');
+
+    return cells + monthLabels + dayLabels;
+}
+
+function renderLegend(palette, x, y) {
+    const swatches = palette.map((color, i) => `<rect x="${30 + i * 14}" y="0" width="10" height="10" fill="${color}" rx="2"/>`).join('');
+    return `<g transform="translate(${x}, ${y})"><text x="0" y="9">Less</text>${swatches}<text x="${30 + palette.length * 14 + 4}" y="9">More</text></g>`;
+}
+
+// Cards keep their usual width up to a year of columns and grow for longer ranges
+function calendarWidth(weeks, { x, minWidth = 700, cellSize = 10, cellPadding = 2 }) {
+    return Math.max(minWidth, x + weeks.length * (cellSize + cellPadding) + 30);
+}
+
+module.exports = {
+    parseCalendarOptions,
+    calendarRange,
+    buildCalendar,
+    colorThresholds,
+    renderCalendar,
+    renderLegend,
+    calendarWidth
+};
@@ -0,0 +1,101 @@
+// utils/errors.js
+// Typed errors shared by the platform adapters, card routes and JSON API.
+// Each type carries its HTTP status, how long the error response may be cached
+// (seconds; 0 means do not cache) and a hint shown on the error card.
+
+const errorTypes = {
+    INVALID_REQUEST: {
+        status: 400,
+        cacheTtl: 0,
+        hint: 'Check the URL parameters against the README.'
+    },
+    USER_NOT_FOUND: {
+        status: 404,
+        cacheTtl: 60,
+        hint: 'Check the spelling of the handle.'
+    },
+    RATE_LIMITED: {
+        status: 429,
+        cacheTtl: 0,
+        hint: 'Too many requests for this card right now. Try again in a minute.'
+    },
+    UPSTREAM_RATE_LIMITED: {
+        status: 429,
+        cacheTtl: 30,
+        hint: 'Too many requests right now. The card will load again shortly.'
+    },
+    UPSTREAM_ERROR: {
+        status: 502,
+        cacheTtl: 15,
+        hint: 'The platform may be down. Try again in a few minutes.'
+    },
+    UPSTREAM_TIMEOUT: {
+        status: 504,
+        cacheTtl: 15,
+        hint: 'The platform is slow right now. Try again in a minute.'
+    },
+    INTERNAL_ERROR: {
+        status: 500,
+        cacheTtl: 0,
+        hint: 'Please try again later, or open an issue if this keeps happening.'
+    }
+};
+
+function createError(type, message, extra = {}) {
+    const error = new Error(message);
+    error.type = type;
+    error.status = errorTypes[type].status;
+    return Object.assign(error, extra);
+}
+
+const invalidRequestError = message => createError('INVALID_REQUEST', message);
+const notFoundError = message => createError('USER_NOT_FOUND', message);
+const upstreamTimeoutError = platform => createError('UPSTREAM_TIMEOUT', `${platform} did not respond in time`);
+const upstreamError = (platform, detail) => createError('UPSTREAM_ERROR', `Could not load data from ${platform}${detail ? `: ${detail}` : ''}`);
+
+function rateLimitError(platform, retryAfter = 2) {
+    return createError('UPSTREAM_RATE_LIMITED', `${platform} rate limit reached`, { retryAfter });
+}
+
+function tooManyRequestsError(retryAfter) {
+    return createError('RATE_LIMITED', 'Rate limit exceeded', { retryAfter });
+}
+
+function isTimeout(error) {
+    return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message || '');
+}
+
+// Turn a failed axios call into a typed error; not-found detection is left to each adapter
+function fromUpstreamError(error, platform) {
+    if (error.type) {
+        return error;
+    }
+    if (isTimeout(error)) {
+        return upstreamTimeoutError(platform);
+    }
+    if (error.response && error.response.status === 429) {
+        return rateLimitError(platform, parseInt(error.response.headers?.['retry-after'], 10) || undefined);
+    }
+    return upstreamError(platform, error.response ? `HTTP ${error.response.status}` : error.message);
+}
+
+// Anything that isn't already typed (e.g. a bug while rendering) is an internal error
+function toAppError(error) {
+    if (error && error.type && errorTypes[error.type]) {
+        return error;
+    }
+    return createError('INTERNAL_ERROR', 'Something went wrong while building this card', { cause: error });
+}
+
+module.exports = {
+    errorTypes,
+    createError,
+    invalidRequestError,
+    notFoundError,
+    upstreamTimeoutError,
+    upstreamError,
+    rateLimitError,
+    tooManyRequestsError,
+    fromUpstreamError,
+    toAppError
+};
@@ -0,0 +1,110 @@
+// utils/fonts.js
+// Embeds the card font in an SVG for `?embed_font=true`. Images behind GitHub's camo proxy
+// cannot load the Google Fonts stylesheet, so the card would otherwise be drawn in the
+// viewer's default font with a different width than utils/text.js laid it out for.
+// Each weight is subset to the characters the card actually draws and inlined as WOFF2.
+const fs = require('fs');
+const path = require('path');
+const subsetFont = require('subset-font');
+const { fontFiles, fontWeight, hasGlyph } = require('./text');
+
+// Glyphs Open Sans lacks, such as CodeChef's ★, come from the font PNG output uses for them
+const symbolFontFile = path.join(
+    path.dirname(require.resolve('@expo-google-fonts/noto-sans-symbols-2/package.json')),
+    '400Regular/NotoSansSymbols2_400Regular.ttf'
+);
+
+// Hinting and OpenType layout are dropped: cards have no use for ligatures, and without
+// kerning the browser places glyphs by the plain advance widths utils/text.js measures
+const subsetOptions = {
+    targetFormat: 'woff2',
+    noHinting: true,
+    keepFeatures: [],
+    dropTables: ['GPOS', 'GSUB', 'GDEF', 'kern']
+};
+
+const MAX_CACHED_SUBSETS = 200;
+const fontData = new Map();
+const subsets = new Map();
+
+const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return entities[entity] ?? match;
+    });
+}
+
+// Characters drawn by the SVG's text elements; tooltips and styles are not drawn with the font
+function drawnCharacters(svg) {
+    const content = svg
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(style|title|script)\b[\s\S]*?<\/\1>/g, '');
+    const text = [...content.matchAll(/>([^<]+)</g)].map(match => decodeEntities(match[1])).join('');
+    return [...new Set(Array.from(text.replace(/\s/g, ' ')))].sort();
+}
+
+// Weights named in `font:` shorthands and font-weight properties or attributes; 400 is the default
+function usedWeights(svg) {
+    const weights = new Set([400]);
+    const patterns = [/font:\s*(?:italic\s+|normal\s+)?(\d{3}|bold)\b/g, /font-weight(?::\s*|=")(\d{3}|bold)\b/g];
+    patterns.forEach(pattern => {
+        [...svg.matchAll(pattern)].forEach(([, weight]) => {
+            weights.add(fontWeight(weight === 'bold' ? 700 : Number(weight)));
+        });
+    });
+    return [...weights].sort();
+}
+
+async function subsetAsDataUri(file, chars) {
+    const key = `${file}:${chars}`;
+    if (subsets.has(key)) {
+        const uri = subsets.get(key);
+        subsets.delete(key);
+        subsets.set(key, uri);
+        return uri;
+    }
+    if (!fontData.has(file)) {
+        fontData.set(file, fs.readFileSync(file));
+    }
+    const woff2 = await subsetFont(fontData.get(file), chars, subsetOptions);
+    const uri = `data:font/woff2;base64,${woff2.toString('base64')}`;
+
+    subsets.set(key, uri);
+    while (subsets.size > MAX_CACHED_SUBSETS) {
+        subsets.delete(subsets.keys().next().value);
+    }
+    return uri;
+}
+
+const unicodeRange = chars => chars.map(char => `U+${char.codePointAt(0).toString(16).toUpperCase()}`).join(', ');
+
+// The SVG with its Google Fonts import replaced by inline @font-face rules. If subsetting
+// fails the card is sent as it was, still loading the font from Google where it can.
+async function embedFonts(svg) {
+    try {
+        const chars = drawnCharacters(svg);
+        const symbols = chars.filter(char => !hasGlyph(char));
+        const text = chars.filter(hasGlyph).join('');
+
+        const faces = await Promise.all(usedWeights(svg).map(async weight => `
+            @font-face { font-family: 'Open Sans'; font-weight: ${weight}; src: url(${await subsetAsDataUri(fontFiles[weight], text)}) format('woff2'); }`));
+        if (symbols.length > 0) {
+            faces.push(`
+            @font-face { font-family: 'Open Sans'; font-weight: 100 900; unicode-range: ${unicodeRange(symbols)}; src: url(${await subsetAsDataUri(symbolFontFile, symbols.join(''))}) format('woff2'); }`);
+        }
+
+        return svg
+            .replace(/@import url\([^)]*\);?/g, '')
+            .replace(/<svg\b[^>]*>/, tag => `${tag}\n        <style>${faces.join('')}\n        </style>`);
+    } catch (error) {
+        console.error('Error embedding fonts:', error);
+        return svg;
+    }
+}
+
+module.exports = { embedFonts, symbolFontFile };
@@ -1,4 +1,4 @@
-const axios = require('axios')
+const { resolveTheme, cardBackground } = require('./themes');
 
 function escapeXml(unsafe) {
     return unsafe.toString()
@@ -25,32 +25,32 @@ function formatTimeAgo(timestamp) {
     }
 }
 
-async function getImageAsBase64(url) {
-    try {
-        const response = await axios.get(url, { 
-            responseType: 'arraybuffer',
-            timeout: 5000, // 5 second timeout
-            headers: {
-                'User-Agent': 'Codeforces-Profile-Card/1.0'
-            }
-        });
-        const base64 = Buffer.from(response.data).toString('base64');
-        const contentType = response.headers['content-type'];
-        return `data:${contentType};base64,${base64}`;
-    } catch (error) {
-        // Return a default avatar if fetching fails
-        return 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSIxMDAiIGhlaWdodD0iMTAwIiB2aWV3Qm94PSIwIDAgMTAwIDEwMCI+PHJlY3Qgd2lkdGg9IjEwMCIgaGVpZ2h0PSIxMDAiIGZpbGw9IiNlZWUiLz48dGV4dCB4PSI1MCIgeT0iNTAiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzY2NiIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPk5vIEltYWdlPC90ZXh0Pjwvc3ZnPg==';
-    }
+// Greedy word wrap by character count, good enough for short error messages
+function wrapText(text, maxChars) {
+    return text.split(/\s+/).reduce((lines, word) => {
+        const last = lines[lines.length - 1];
+        if (last && (last + ' ' + word).length <= maxChars) {
+            lines[lines.length - 1] = last + ' ' + word;
+        } else {
+            lines.push(word);
+        }
+        return lines;
+    }, []);
 }
 
-function errorSVG(message) {
+// Error card sized to the card it replaces, with an optional hint under the message
+function errorSVG(message, theme = resolveTheme(), { width = 700, height = 250, hint } = {}) {
+    const messageLines = wrapText(message, Math.floor((width - 60) / 9));
+    const hintLines = hint ? wrapText(hint, Math.floor((width - 60) / 7)) : [];
+    const blockHeight = messageLines.length * 22 + (hintLines.length ? 10 + hintLines.length * 18 : 0);
+    const top = (height - blockHeight) / 2 + 16;
+
     return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
-    <svg width="700" height="250" xmlns="http://www.w3.org/2000/svg">
-        <rect width="700" height="250" fill="#f8f9fa"/>
-        <text x="350" y="125" text-anchor="middle" font-family="Open Sans" font-size="16">
-            ${escapeXml(message)}
-        </text>
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+        ${cardBackground(theme, width, height)}
+        ${messageLines.map((line, i) => `<text x="${width / 2}" y="${top + i * 22}" text-anchor="middle" font-family="Open Sans, sans-serif" font-size="16" font-weight="600" fill="${theme.title}">${escapeXml(line)}</text>`).join('\n        ')}
+        ${hintLines.map((line, i) => `<text x="${width / 2}" y="${top + messageLines.length * 22 + 10 + i * 18}" text-anchor="middle" font-family="Open Sans, sans-serif" font-size="13" fill="${theme.muted}">${escapeXml(line)}</text>`).join('\n        ')}
     </svg>`;
 }
 
-module.exports = {escapeXml, formatTimeAgo, getImageAsBase64, errorSVG}
\ No newline at end of file
+module.exports = {escapeXml, formatTimeAgo, errorSVG}
\ No newline at end of file
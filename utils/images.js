@@ -0,0 +1,97 @@
+// utils/images.js
+// Avatars and flags embedded in cards. Each image is downloaded once, checked to really be an
+// image, scaled down to the size it is drawn at and kept in its own in-process cache, so cards
+// stay small and a render never waits on an image host it has already heard from. Hosts that
+// fail or time out are left alone for a while and the card gets a placeholder instead.
+const axios = require('axios');
+const { createCache, createMemoryStore } = require('./cache');
+
+const IMAGE_TTL = (parseInt(process.env.IMAGE_CACHE_TTL, 10) || 24 * 60 * 60) * 1000;
+const IMAGE_MAX_ENTRIES = parseInt(process.env.IMAGE_CACHE_MAX_ENTRIES, 10) || 1000;
+const IMAGE_MAX_BYTES = parseInt(process.env.IMAGE_MAX_BYTES, 10) || 2 * 1024 * 1024;
+const IMAGE_TIMEOUT = 3000;
+const FAILURE_TTL = 10 * 60 * 1000;
+
+// Accepted Content-Type headers, and sharp's names for the same formats
+const imageTypes = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml'];
+const imageFormats = ['png', 'jpeg', 'gif', 'webp', 'svg'];
+
+// Display size in px per kind of image. Avatars are cropped to a circle, so their shorter side
+// has to cover it; flags are shown whole.
+const imageKinds = {
+    avatar: {
+        size: 100,
+        fit: 'outside',
+        placeholder: 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSIxMDAiIGhlaWdodD0iMTAwIiB2aWV3Qm94PSIwIDAgMTAwIDEwMCI+PHJlY3Qgd2lkdGg9IjEwMCIgaGVpZ2h0PSIxMDAiIGZpbGw9IiNlZWUiLz48dGV4dCB4PSI1MCIgeT0iNTAiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzY2NiIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPk5vIEltYWdlPC90ZXh0Pjwvc3ZnPg=='
+    },
+    flag: {
+        size: 20,
+        fit: 'inside',
+        placeholder: 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSIyMCIgaGVpZ2h0PSIyMCIgdmlld0JveD0iMCAwIDIwIDIwIj48cmVjdCB3aWR0aD0iMjAiIGhlaWdodD0iMjAiIGZpbGw9IiNlZWUiLz48L3N2Zz4='
+    }
+};
+
+const imageCache = createCache({
+    store: createMemoryStore({ maxEntries: IMAGE_MAX_ENTRIES }),
+    ttl: IMAGE_TTL,
+    staleWhileRevalidate: IMAGE_TTL,
+    staleIfError: IMAGE_TTL
+});
+
+// Cache key to the time a failed image may be tried again
+const failures = new Map();
+
+async function fetchImage(url, { size, fit }) {
+    const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: IMAGE_TIMEOUT,
+        // The timeout above only covers the connection; this bounds the whole download
+        signal: AbortSignal.timeout(IMAGE_TIMEOUT),
+        maxContentLength: IMAGE_MAX_BYTES,
+        headers: {
+            'User-Agent': 'Codeforces-Profile-Card/1.0'
+        }
+    });
+
+    const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!imageTypes.includes(contentType)) {
+        throw new Error(`unexpected content type "${contentType}"`);
+    }
+
+    // sharp is only loaded once an image has to be processed, and the header alone is not
+    // trusted: the data itself has to decode as one of the accepted formats
+    const sharp = require('sharp');
+    const image = sharp(Buffer.from(response.data), { limitInputPixels: 4096 * 4096 });
+    const { format, hasAlpha } = await image.metadata();
+    if (!imageFormats.includes(format)) {
+        throw new Error(`unsupported image format "${format}"`);
+    }
+
+    image.resize(size, size, { fit, withoutEnlargement: true });
+    const output = hasAlpha ? await image.png().toBuffer() : await image.jpeg({ quality: 85 }).toBuffer();
+    return `data:image/${hasAlpha ? 'png' : 'jpeg'};base64,${output.toString('base64')}`;
+}
+
+// Data URI of the image at `url` scaled for `kind` ('avatar' or 'flag'), or the kind's
+// placeholder when there is no URL or the image cannot be loaded
+async function getImage(url, kind) {
+    const { placeholder } = imageKinds[kind];
+    const key = `image:${kind}:${url}`;
+
+    if (!url || failures.get(key) > Date.now()) {
+        return placeholder;
+    }
+    try {
+        return await imageCache.wrap(key, () => fetchImage(url, imageKinds[kind]));
+    } catch (error) {
+        console.error(`Could not load ${kind} image ${url}:`, error.message);
+        failures.delete(key);
+        failures.set(key, Date.now() + FAILURE_TTL);
+        while (failures.size > IMAGE_MAX_ENTRIES) {
+            failures.delete(failures.keys().next().value);
+        }
+        return placeholder;
+    }
+}
+
+module.exports = { getImage, imageCache };
@@ -0,0 +1,81 @@
+// utils/profile.js
+// Query options and the stat grid shared by the Codeforces and CodeChef profile cards.
+const { escapeXml } = require('./helpers');
+const { parseBoolean } = require('./themes');
+const { invalidRequestError } = require('./errors');
+const { truncateText } = require('./text');
+const { parseAnimate, countUpText } = require('./animation');
+
+const MAX_TITLE_LENGTH = 60;
+
+// Card width, stat grid size and avatar circle per layout. In the default layout the avatar
+// and its max-rating badge reach into the first row, so that row loses its last box.
+const profileLayouts = {
+    default: { width: 500, columns: 3, rows: 2, avatar: { cx: 430, cy: 70, r: 50 }, blocked: [[2, 0]] },
+    wide: { width: 800, columns: 4, rows: 2, avatar: { cx: 730, cy: 70, r: 50 }, blocked: [] },
+    compact: { width: 500, columns: 3, rows: 1, avatar: { cx: 450, cy: 40, r: 28 }, blocked: [] }
+};
+
+// Box positions relative to the grid, in the order stats fill them
+function statSlots(layout, hideAvatar) {
+    const { columns, rows, blocked } = profileLayouts[layout];
+    const slots = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            if (hideAvatar || !blocked.some(([c, r]) => c === column && r === row)) {
+                slots.push({ x: column * 160, y: row * 70 });
+            }
+        }
+    }
+    return slots;
+}
+
+// `statKeys` are the stats the platform's card can show, in their default order
+function parseProfileOptions(query = {}, statKeys) {
+    const layout = String(query.layout || 'default');
+    if (!Object.keys(profileLayouts).includes(layout)) {
+        throw invalidRequestError(`layout must be one of: ${Object.keys(profileLayouts).join(', ')}`);
+    }
+    const hideAvatar = parseBoolean(query.hide_avatar);
+    const capacity = statSlots(layout, hideAvatar).length;
+
+    let show = null;
+    if (query.show !== undefined) {
+        show = [...new Set(String(query.show).split(',').map(key => key.trim()).filter(Boolean))];
+        if (show.length === 0 || show.some(key => !statKeys.includes(key))) {
+            throw invalidRequestError(`show must be a list of: ${statKeys.join(', ')}`);
+        }
+        if (show.length > capacity) {
+            throw invalidRequestError(`This layout fits at most ${capacity} stats`);
+        }
+    }
+
+    const customTitle = String(query.custom_title || '').trim().slice(0, MAX_TITLE_LENGTH) || null;
+    return { layout, hideAvatar, show, customTitle, animate: parseAnimate(query) };
+}
+
+// Layout geometry for the parsed options; `textRight` is where header text has to end
+function profileLayout({ layout = 'default', hideAvatar = false } = {}) {
+    const { width, avatar } = profileLayouts[layout];
+    return {
+        name: layout,
+        width,
+        avatar: hideAvatar ? null : avatar,
+        slots: statSlots(layout, hideAvatar),
+        textRight: hideAvatar ? width - 20 : avatar.cx - avatar.r - 10
+    };
+}
+
+// `stats` are { label, value, color } in display order; `boxAttributes` styles each box.
+// A stat's color is set as a style so it wins over the fill of the .stat class.
+// Animated numbers count up.
+function renderStatBoxes(stats, slots, boxAttributes, { animate = false } = {}) {
+    return stats.map((stat, i) => `
+        <g transform="translate(${slots[i].x}, ${slots[i].y})">
+            <rect x="0" y="0" width="150" height="60" ${boxAttributes} rx="8"/>
+            ${countUpText(truncateText(stat.value, 140, { size: 16, weight: 600 }), `class="stat" x="75" y="25" text-anchor="middle"${stat.color ? ` style="fill: ${stat.color}"` : ''}`, { animate })}
+            <text class="label" x="75" y="45" text-anchor="middle">${escapeXml(stat.label)}</text>
+        </g>`).join('');
+}
+
+module.exports = { parseProfileOptions, profileLayout, renderStatBoxes };
@@ -0,0 +1,187 @@
+// utils/ratelimit.js
+// Per-IP and per-handle request limits using sliding window counters: the previous
+// window's count is weighted by how much of it still overlaps the sliding window,
+// which smooths bursts at window edges without keeping a log of every request.
+const net = require('net');
+const { platforms } = require('../platforms');
+const { tooManyRequestsError } = require('./errors');
+
+const DEFAULT_WINDOW = 60 * 1000;
+const DEFAULT_IP_LIMIT = 100;
+const DEFAULT_HANDLE_LIMIT = 300;
+const DEFAULT_MAX_KEYS = 10000;
+// The compare card takes at most five handles; longer lists are rejected by the route, so
+// counting more of them would only let one request push other handles out of the window
+const MAX_LISTED_HANDLES = 5;
+
+function createSlidingWindow({ windowMs = DEFAULT_WINDOW, limit, maxKeys = DEFAULT_MAX_KEYS }) {
+    // Map order doubles as LRU order, so the least recently seen key is dropped first
+    const counters = new Map();
+
+    const counterFor = (key, now) => {
+        const start = Math.floor(now / windowMs) * windowMs;
+        let counter = counters.get(key);
+
+        if (!counter || counter.start < start - windowMs) {
+            counter = { start, previous: 0, current: 0 };
+        } else if (counter.start < start) {
+            counter = { start, previous: counter.current, current: 0 };
+        }
+        counters.delete(key);
+        counters.set(key, counter);
+        while (counters.size > maxKeys) {
+            counters.delete(counters.keys().next().value);
+        }
+        return counter;
+    };
+
+    // Seconds until one more request would be allowed
+    const retryAfter = (counter, now) => {
+        const windowEnd = counter.start + windowMs;
+        if (counter.current + 1 > limit || counter.previous === 0) {
+            return Math.ceil((windowEnd - now) / 1000);
+        }
+        // Time at which the decaying previous window leaves room for one request
+        const freeAt = counter.start + windowMs * (1 - (limit - 1 - counter.current) / counter.previous);
+        return Math.max(1, Math.ceil((Math.min(freeAt, windowEnd) - now) / 1000));
+    };
+
+    function check(key, now = Date.now()) {
+        const counter = counterFor(key, now);
+        const weight = 1 - (now - counter.start) / windowMs;
+        const used = counter.previous * weight + counter.current;
+        const allowed = used + 1 <= limit;
+
+        return {
+            allowed,
+            limit,
+            remaining: Math.max(0, Math.floor(limit - used - 1)),
+            reset: allowed ? Math.ceil((counter.start + windowMs - now) / 1000) : retryAfter(counter, now),
+            consume: () => {
+                counter.current += 1;
+            }
+        };
+    }
+
+    return { check };
+}
+
+// Handles a request touches, as `platform:handle` keys: `/:platform/:handle/...` paths,
+// `?handles=` on the compare card and `?cf=&cc=` style parameters on the combined card
+function handleKeysOf(req) {
+    const [, platform, handle] = req.path.split('/');
+    const keys = [];
+
+    if (platforms[platform] && handle && handle !== 'compare') {
+        keys.push(`${platform}:${handle}`);
+    }
+    if (platforms[platform] && typeof req.query.handles === 'string') {
+        const names = req.query.handles.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+        [...new Set(names)].slice(0, MAX_LISTED_HANDLES).forEach(name => keys.push(`${platform}:${name}`));
+    }
+    if (platform === 'combined') {
+        Object.keys(platforms)
+            .filter(id => typeof req.query[id] === 'string')
+            .forEach(id => keys.push(`${id}:${req.query[id].trim()}`));
+    }
+    return [...new Set(keys.filter(key => !key.endsWith(':')).map(key => key.toLowerCase()))];
+}
+
+// Entries are IPs or CIDR ranges, e.g. "140.82.112.0/20" or "::1"
+function createAllowlist(entries) {
+    const list = new net.BlockList();
+    entries.forEach(entry => {
+        const [address, prefix] = entry.split('/');
+        const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        if (!net.isIP(address)) {
+            console.warn(`Ignoring invalid rate limit allowlist entry "${entry}"`);
+        } else if (prefix !== undefined) {
+            list.addSubnet(address, parseInt(prefix, 10), family);
+        } else {
+            list.addAddress(address, family);
+        }
+    });
+    return list;
+}
+
+function createRateLimiter({
+    windowMs = DEFAULT_WINDOW,
+    ipLimit = DEFAULT_IP_LIMIT,
+    handleLimit = DEFAULT_HANDLE_LIMIT,
+    allowlist = [],
+    trustedAgents = [],
+    maxKeys = DEFAULT_MAX_KEYS
+} = {}) {
+    const ipWindow = ipLimit > 0 ? createSlidingWindow({ windowMs, limit: ipLimit, maxKeys }) : null;
+    const handleWindow = handleLimit > 0 ? createSlidingWindow({ windowMs, limit: handleLimit, maxKeys }) : null;
+    const allowedIps = createAllowlist(allowlist);
+    const windowSeconds = Math.ceil(windowMs / 1000);
+
+    // Trusted proxies (GitHub camo fetches every README image from a handful of IPs)
+    // skip the per-IP limit; the per-handle limit still applies to them. User agents are
+    // trivial to fake, so they are only trusted when configured explicitly.
+    function isTrusted(req) {
+        const ip = (req.ip || '').replace(/^::ffff:/, '');
+        if (net.isIP(ip) && allowedIps.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4')) {
+            return true;
+        }
+        const agent = String(req.headers['user-agent'] || '').toLowerCase();
+        return trustedAgents.some(name => agent.includes(name));
+    }
+
+    // `onLimited(req, res, error)` sends the response for a rejected request
+    function middleware(onLimited) {
+        return (req, res, next) => {
+            const now = Date.now();
+            const checks = [];
+
+            if (ipWindow && !isTrusted(req)) {
+                checks.push({ policy: ipLimit, result: ipWindow.check(`ip:${req.ip}`, now) });
+            }
+            if (handleWindow) {
+                handleKeysOf(req).forEach(key => {
+                    checks.push({ policy: handleLimit, result: handleWindow.check(key, now) });
+                });
+            }
+            if (checks.length === 0) {
+                return next();
+            }
+
+            // Headers describe whichever limit is closest to running out
+            const blocked = checks.filter(({ result }) => !result.allowed);
+            const closest = blocked.length > 0
+                ? blocked.reduce((a, b) => (b.result.reset > a.result.reset ? b : a))
+                : checks.reduce((a, b) => (b.result.remaining < a.result.remaining ? b : a));
+
+            res.setHeader('RateLimit-Policy', `${closest.policy};w=${windowSeconds}`);
+            res.setHeader('RateLimit-Limit', closest.result.limit);
+            res.setHeader('RateLimit-Remaining', closest.result.remaining);
+            res.setHeader('RateLimit-Reset', closest.result.reset);
+
+            if (blocked.length > 0) {
+                res.setHeader('Retry-After', closest.result.reset);
+                return onLimited(req, res, tooManyRequestsError(closest.result.reset));
+            }
+            checks.forEach(({ result }) => result.consume());
+            next();
+        };
+    }
+
+    return { middleware, isTrusted };
+}
+
+const parseList = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+const parseLimit = (value, fallback) => {
+    const limit = parseInt(value, 10);
+    return Number.isFinite(limit) && limit >= 0 ? limit : fallback;
+};
+
+const rateLimiter = createRateLimiter({
+    windowMs: (parseInt(process.env.RATE_LIMIT_WINDOW, 10) || DEFAULT_WINDOW / 1000) * 1000,
+    ipLimit: parseLimit(process.env.RATE_LIMIT_PER_IP, DEFAULT_IP_LIMIT),
+    handleLimit: parseLimit(process.env.RATE_LIMIT_PER_HANDLE, DEFAULT_HANDLE_LIMIT),
+    allowlist: parseList(process.env.RATE_LIMIT_ALLOWLIST),
+    trustedAgents: parseList(process.env.RATE_LIMIT_TRUSTED_AGENTS).map(name => name.toLowerCase())
+});
+
+module.exports = { rateLimiter, createRateLimiter, createSlidingWindow };
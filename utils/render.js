@@ -0,0 +1,189 @@
+// utils/render.js
+// Sends a generated card as SVG, or rasterized to PNG/WebP when `?format=` asks for it.
+const crypto = require('crypto');
+const { Resvg } = require('@resvg/resvg-js');
+const { errorSVG } = require('./helpers');
+const { resolveTheme, parseBoolean } = require('./themes');
+const { errorTypes, toAppError } = require('./errors');
+const { DEFAULT_TIMEZONE, isValidTimeZone, toDayKey, startOfDay } = require('./streaks');
+const { fontFiles: textFonts } = require('./text');
+const { embedFonts, symbolFontFile } = require('./fonts');
+const { version } = require('../package.json');
+
+const DEFAULT_SCALE = parseFloat(process.env.RASTER_SCALE) || 2;
+const MAX_SCALE = 4;
+
+// Error cards take the size of the card they replace
+const cardSizes = {
+    profile: { width: 500, height: 300 },
+    graph: { width: 900, height: 420 },
+    heatmap: { width: 700, height: 250 },
+    combined: { width: 700, height: 250 },
+    tags: { width: 500, height: 360 },
+    difficulty: { width: 700, height: 300 },
+    submissions: { width: 500, height: 300 },
+    recent: { width: 500, height: 306 },
+    badges: { width: 824, height: 500 }
+};
+
+const contentTypes = {
+    svg: 'image/svg+xml',
+    png: 'image/png',
+    webp: 'image/webp'
+};
+
+// Fonts ship with the app so raster output never depends on Google Fonts.
+// Noto Sans Symbols 2 covers glyphs Open Sans lacks, such as CodeChef's ★.
+const fontFiles = [...Object.values(textFonts), symbolFontFile];
+
+function parseFormat(query = {}) {
+    const format = String(query.format || 'svg').toLowerCase();
+    return Object.prototype.hasOwnProperty.call(contentTypes, format) ? format : null;
+}
+
+function parseScale(query = {}) {
+    const scale = parseFloat(query.scale);
+    if (!Number.isFinite(scale) || scale <= 0) {
+        return DEFAULT_SCALE;
+    }
+    return Math.min(scale, MAX_SCALE);
+}
+
+// resvg cannot fetch the Google Fonts stylesheet and ignores the `font` shorthand,
+// so drop the import and spell the shorthand out as longhand properties
+function prepareForRaster(svg) {
+    return svg
+        .replace(/@import url\([^)]*\);?/g, '')
+        .replace(/font:\s*(?:(italic|normal)\s+)?(\d{3}|bold|normal)?\s*(\d+(?:\.\d+)?px)\s+([^;}]+)/g,
+            (match, style, weight, size, family) => [
+                style && `font-style: ${style}`,
+                weight && `font-weight: ${weight}`,
+                `font-size: ${size}`,
+                `font-family: ${family.trim()}`
+            ].filter(Boolean).join('; '));
+}
+
+async function rasterize(svg, format, scale) {
+    const resvg = new Resvg(prepareForRaster(svg), {
+        fitTo: { mode: 'zoom', value: scale },
+        font: {
+            fontFiles,
+            loadSystemFonts: false,
+            defaultFontFamily: 'Open Sans',
+            sansSerifFamily: 'Open Sans'
+        }
+    });
+    const png = resvg.render().asPng();
+
+    if (format === 'webp') {
+        // sharp is only loaded when WebP is requested
+        const sharp = require('sharp');
+        return sharp(png).webp({ quality: 90 }).toBuffer();
+    }
+    return png;
+}
+
+// Cache-Control for a response browsers and the camo proxy may keep for `maxAge` seconds
+const cacheControl = maxAge => (maxAge > 0 ? `public, max-age=${maxAge}` : 'no-store');
+
+// Send a card in the format requested by the query; `maxAge` is omitted for error cards
+async function sendCard(req, res, svg, { status = 200, maxAge } = {}) {
+    const format = parseFormat(req.query);
+
+    if (!format) {
+        res.removeHeader('ETag');
+        res.removeHeader('Last-Modified');
+        res.setHeader('Content-Type', contentTypes.svg);
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(400).send(errorSVG('Unsupported format, use svg, png or webp', resolveTheme(req.query), {
+            hint: errorTypes.INVALID_REQUEST.hint
+        }));
+    }
+
+    let body;
+    if (format !== 'svg') {
+        body = await rasterize(svg, format, parseScale(req.query));
+    } else {
+        body = parseBoolean(req.query.embed_font) ? await embedFonts(svg) : svg;
+    }
+
+    res.setHeader('Content-Type', contentTypes[format]);
+    if (maxAge !== undefined) {
+        res.setHeader('Cache-Control', cacheControl(maxAge));
+    }
+    res.status(status).send(body);
+}
+
+// Digests are memoized per object, so a cached user record is only hashed once
+const digests = new WeakMap();
+
+function digestOf(value) {
+    if (value && typeof value === 'object' && digests.has(value)) {
+        return digests.get(value);
+    }
+    const json = JSON.stringify(value, (key, item) => {
+        if (item instanceof Map || item instanceof Set) {
+            return [...item];
+        }
+        return item;
+    });
+    const digest = crypto.createHash('sha1').update(json === undefined ? '' : json).digest('hex');
+    if (value && typeof value === 'object') {
+        digests.set(value, digest);
+    }
+    return digest;
+}
+
+const cardTimeZone = req => (typeof req.query.tz === 'string' && isValidTimeZone(req.query.tz) ? req.query.tz : DEFAULT_TIMEZONE);
+
+// A card is byte-identical when its inputs, URL (handle, card type, query) and the app version match.
+// The current day (in the card's `?tz=`) is included because heatmaps, streaks and "time ago" text move with the date.
+function cardEtag(req, inputs) {
+    const query = Object.keys(req.query).sort().map(key => [key, req.query[key]]);
+    const today = toDayKey(Date.now() / 1000, cardTimeZone(req));
+    const digest = crypto.createHash('sha1')
+        .update(JSON.stringify([version, today, req.baseUrl + req.path, query]))
+        .update(inputs.map(digestOf).join(','))
+        .digest('base64url');
+    return `"${digest}"`;
+}
+
+// Answer 304 when the client's copy is current, so nothing is rendered or re-embedded;
+// otherwise render and send the card. `lastModified` is in Unix seconds. Like the ETag,
+// Last-Modified moves on at the start of each day, so If-Modified-Since alone cannot
+// keep yesterday's heatmap or streak.
+async function sendCardIfChanged(req, res, { inputs, lastModified, maxAge = 300 }, render) {
+    res.setHeader('ETag', cardEtag(req, inputs));
+    if (lastModified > 0) {
+        const modified = Math.max(lastModified, startOfDay(Date.now() / 1000, cardTimeZone(req)));
+        res.setHeader('Last-Modified', new Date(modified * 1000).toUTCString());
+    }
+    res.setHeader('Cache-Control', cacheControl(maxAge));
+
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    return sendCard(req, res, await render(), { maxAge });
+}
+
+// Send the error card for any thrown error, with the status and cache lifetime of its type
+function sendErrorCard(req, res, error, cardType) {
+    const appError = toAppError(error);
+    const { cacheTtl, hint } = errorTypes[appError.type];
+
+    if (appError.type === 'INTERNAL_ERROR') {
+        console.error(`Error rendering ${cardType} card:`, appError.cause);
+    }
+    if (appError.retryAfter) {
+        res.setHeader('Retry-After', appError.retryAfter);
+    }
+    // Validators may already be set if rendering failed after the data was fetched
+    res.removeHeader('ETag');
+    res.removeHeader('Last-Modified');
+    res.setHeader('Cache-Control', cacheControl(cacheTtl));
+
+    const svg = errorSVG(appError.message, resolveTheme(req.query), { ...cardSizes[cardType], hint });
+    return sendCard(req, res, svg, { status: appError.status });
+}
+
+module.exports = { sendCard, sendCardIfChanged, sendErrorCard, rasterize, parseFormat, parseScale };
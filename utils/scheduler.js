@@ -0,0 +1,54 @@
+// utils/scheduler.js
+// Paces outbound API calls with a token bucket. Callers wait in a FIFO queue
+// until a token is available instead of hammering the upstream.
+
+function createTokenBucket({ capacity = 1, refillMs = 1000, maxQueue = 50 } = {}) {
+    let tokens = capacity;
+    let lastRefill = Date.now();
+    let timer = null;
+    const queue = [];
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + (now - lastRefill) / refillMs);
+        lastRefill = now;
+    };
+
+    const drain = () => {
+        timer = null;
+        refill();
+        while (queue.length > 0 && tokens >= 1) {
+            tokens -= 1;
+            queue.shift()();
+        }
+        if (queue.length > 0) {
+            timer = setTimeout(drain, Math.ceil((1 - tokens) * refillMs));
+        }
+    };
+
+    // Resolves once the caller may make one request; rejects when the queue is full
+    function take() {
+        if (queue.length >= maxQueue) {
+            const error = new Error('Request queue is full');
+            error.code = 'QUEUE_FULL';
+            error.retryAfter = Math.ceil((queue.length * refillMs) / 1000);
+            return Promise.reject(error);
+        }
+        return new Promise(resolve => {
+            queue.push(resolve);
+            if (!timer) {
+                drain();
+            }
+        });
+    }
+
+    return {
+        take,
+        schedule: task => take().then(task),
+        get pending() {
+            return queue.length;
+        }
+    };
+}
+
+module.exports = { createTokenBucket };
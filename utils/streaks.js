@@ -0,0 +1,126 @@
+// utils/streaks.js
+// Day-based streak calculations shared by the Codeforces and CodeChef heatmaps.
+// Days are identified by 'YYYY-MM-DD' keys in the configured timezone.
+
+const DEFAULT_TIMEZONE = process.env.TIMEZONE || 'UTC';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function toDayKey(timestampSeconds, timeZone = DEFAULT_TIMEZONE) {
+    if (!formatters.has(timeZone)) {
+        // en-CA formats dates as YYYY-MM-DD
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone).format(new Date(timestampSeconds * 1000));
+}
+
+// Unix seconds at which the day containing `timestampSeconds` began in `timeZone`: the first
+// second with the same day key. No day is longer than 25 hours, so 26 hours back is always
+// the day before.
+function startOfDay(timestampSeconds, timeZone = DEFAULT_TIMEZONE) {
+    const key = toDayKey(timestampSeconds, timeZone);
+    let before = Math.floor(timestampSeconds) - 26 * 60 * 60;
+    let start = Math.floor(timestampSeconds);
+    while (start - before > 1) {
+        const middle = Math.floor((before + start) / 2);
+        if (toDayKey(middle, timeZone) === key) {
+            start = middle;
+        } else {
+            before = middle;
+        }
+    }
+    return start;
+}
+
+function dayKeyToDate(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+// Month and year shifts keep the day within the target month, so a month before
+// 2026-03-31 is 2026-02-28 rather than overflowing into March; days are added after that
+function shiftDayKey(key, { days = 0, months = 0, years = 0 } = {}) {
+    const date = dayKeyToDate(key);
+    const year = date.getUTCFullYear() + years;
+    const month = date.getUTCMonth() + months;
+    const monthLength = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    date.setUTCFullYear(year, month, Math.min(date.getUTCDate(), monthLength));
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+function daysBetween(fromKey, toKey) {
+    return Math.round((dayKeyToDate(toKey) - dayKeyToDate(fromKey)) / DAY_MS);
+}
+
+// Day map values may be plain counts or Sets of solved problems
+function isActiveDay(value) {
+    if (value instanceof Set) return value.size > 0;
+    return Number(value) > 0;
+}
+
+// Collapse the active days into sorted runs of consecutive days
+function getStreakRuns(dayMap) {
+    const activeDays = [...dayMap.entries()]
+        .filter(([, value]) => isActiveDay(value))
+        .map(([key]) => key)
+        .sort();
+
+    const runs = [];
+    activeDays.forEach(key => {
+        const last = runs[runs.length - 1];
+        if (last && daysBetween(last.end, key) === 1) {
+            last.end = key;
+            last.length++;
+        } else {
+            runs.push({ start: key, end: key, length: 1 });
+        }
+    });
+    return runs;
+}
+
+// Longest run of active days that falls within [startKey, endKey]
+function longestRunInWindow(runs, startKey, endKey) {
+    return runs.reduce((longest, run) => {
+        const start = run.start > startKey ? run.start : startKey;
+        const end = run.end < endKey ? run.end : endKey;
+        if (start > end) return longest;
+        return Math.max(longest, daysBetween(start, end) + 1);
+    }, 0);
+}
+
+// `range` ({ start, end } day keys) adds the longest streak inside a calendar view as rangeStreak
+function computeStreaks(dayMap, { timeZone = DEFAULT_TIMEZONE, now = Date.now(), range = null } = {}) {
+    const runs = getStreakRuns(dayMap instanceof Map ? dayMap : new Map(Object.entries(dayMap || {})));
+    const today = toDayKey(now / 1000, timeZone);
+    const yesterday = shiftDayKey(today, { days: -1 });
+
+    // A streak that ended yesterday is still alive until today is over
+    const lastRun = runs[runs.length - 1];
+    const currentStreak = lastRun && (lastRun.end === today || lastRun.end === yesterday) ? lastRun.length : 0;
+
+    return {
+        maxStreak: runs.reduce((longest, run) => Math.max(longest, run.length), 0),
+        currentStreak,
+        lastYearStreak: longestRunInWindow(runs, shiftDayKey(today, { years: -1 }), today),
+        lastMonthStreak: longestRunInWindow(runs, shiftDayKey(today, { months: -1 }), today),
+        rangeStreak: range ? longestRunInWindow(runs, range.start, range.end) : null
+    };
+}
+
+module.exports = { DEFAULT_TIMEZONE, isValidTimeZone, toDayKey, startOfDay, shiftDayKey, getStreakRuns, computeStreaks };
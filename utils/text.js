@@ -0,0 +1,130 @@
+// utils/text.js
+// Text measurement for laying out cards. Widths come from the advance widths in the bundled
+// Open Sans files, read straight from the TrueType hmtx and cmap tables. PNG/WebP output and
+// `?embed_font=true` SVGs are drawn with these same files, so text fits as measured there.
+// Kerning is ignored, which errs slightly on the wide side.
+const fs = require('fs');
+const path = require('path');
+
+const fontPath = (pkg, file) => path.join(path.dirname(require.resolve(`${pkg}/package.json`)), file);
+
+// Open Sans by CSS font-weight
+const fontFiles = {
+    400: fontPath('@expo-google-fonts/open-sans', '400Regular/OpenSans_400Regular.ttf'),
+    600: fontPath('@expo-google-fonts/open-sans', '600SemiBold/OpenSans_600SemiBold.ttf'),
+    700: fontPath('@expo-google-fonts/open-sans', '700Bold/OpenSans_700Bold.ttf')
+};
+
+const ELLIPSIS = '…';
+const metrics = new Map();
+
+function readTables(buffer) {
+    const tables = {};
+    const numTables = buffer.readUInt16BE(4);
+    for (let i = 0; i < numTables; i++) {
+        const entry = 12 + i * 16;
+        tables[buffer.toString('latin1', entry, entry + 4)] = buffer.readUInt32BE(entry + 8);
+    }
+    return tables;
+}
+
+// Character code to glyph id, from a format 4 (BMP) or format 12 (full Unicode) cmap subtable
+function readCharacterMap(buffer, cmapOffset) {
+    const glyphs = new Map();
+    const count = buffer.readUInt16BE(cmapOffset + 2);
+    const subtables = Array.from({ length: count }, (_, i) => {
+        const record = cmapOffset + 4 + i * 8;
+        return { offset: cmapOffset + buffer.readUInt32BE(record + 4), format: buffer.readUInt16BE(cmapOffset + buffer.readUInt32BE(record + 4)) };
+    });
+    const subtable = subtables.find(table => table.format === 12) || subtables.find(table => table.format === 4);
+
+    if (subtable && subtable.format === 12) {
+        const groups = buffer.readUInt32BE(subtable.offset + 12);
+        for (let i = 0; i < groups; i++) {
+            const group = subtable.offset + 16 + i * 12;
+            const start = buffer.readUInt32BE(group);
+            const end = buffer.readUInt32BE(group + 4);
+            const glyph = buffer.readUInt32BE(group + 8);
+            for (let code = start; code <= end; code++) {
+                glyphs.set(code, glyph + code - start);
+            }
+        }
+    } else if (subtable) {
+        const segments = buffer.readUInt16BE(subtable.offset + 6) / 2;
+        const ends = subtable.offset + 14;
+        const starts = ends + segments * 2 + 2;
+        const deltas = starts + segments * 2;
+        const rangeOffsets = deltas + segments * 2;
+        for (let i = 0; i < segments; i++) {
+            const start = buffer.readUInt16BE(starts + i * 2);
+            const end = buffer.readUInt16BE(ends + i * 2);
+            const delta = buffer.readInt16BE(deltas + i * 2);
+            const rangeOffset = buffer.readUInt16BE(rangeOffsets + i * 2);
+            for (let code = start; code <= end && code !== 0xFFFF; code++) {
+                let glyph = code;
+                if (rangeOffset !== 0) {
+                    glyph = buffer.readUInt16BE(rangeOffsets + i * 2 + rangeOffset + (code - start) * 2);
+                    if (glyph === 0) {
+                        continue;
+                    }
+                }
+                glyphs.set(code, (glyph + delta) & 0xFFFF);
+            }
+        }
+    }
+    return glyphs;
+}
+
+function loadMetrics(weight) {
+    if (!metrics.has(weight)) {
+        const buffer = fs.readFileSync(fontFiles[weight]);
+        const tables = readTables(buffer);
+        const unitsPerEm = buffer.readUInt16BE(tables.head + 18);
+        const advanceCount = buffer.readUInt16BE(tables.hhea + 34);
+        const advances = Array.from({ length: advanceCount }, (_, i) => buffer.readUInt16BE(tables.hmtx + i * 4));
+        const glyphs = readCharacterMap(buffer, tables.cmap);
+
+        // Advance widths in em, per character code
+        const widths = new Map();
+        glyphs.forEach((glyph, code) => {
+            widths.set(code, advances[Math.min(glyph, advanceCount - 1)] / unitsPerEm);
+        });
+        metrics.set(weight, widths);
+    }
+    return metrics.get(weight);
+}
+
+// Nearest weight we ship a font for
+const fontWeight = weight => Object.keys(fontFiles).map(Number)
+    .reduce((best, candidate) => (Math.abs(candidate - weight) < Math.abs(best - weight) ? candidate : best));
+
+// Whether Open Sans draws `char`, so anything else can be left to a fallback font
+function hasGlyph(char) {
+    return loadMetrics(400).has(char.codePointAt(0));
+}
+
+// Width in px of `text` at `size` px. Characters Open Sans lacks (CJK names, emoji) are taken
+// as a full em, since the fallback font that draws them is usually that wide.
+function measureText(text, { size = 14, weight = 400 } = {}) {
+    const widths = loadMetrics(fontWeight(weight));
+    return Array.from(String(text)).reduce((sum, char) => sum + (widths.get(char.codePointAt(0)) ?? 1), 0) * size;
+}
+
+// `text` cut at a character boundary and ended with an ellipsis so it fits in `maxWidth` px
+function truncateText(text, maxWidth, font = {}) {
+    const value = String(text);
+    if (measureText(value, font) <= maxWidth) {
+        return value;
+    }
+    const chars = Array.from(value);
+    const available = maxWidth - measureText(ELLIPSIS, font);
+    let width = 0;
+    let length = 0;
+    while (length < chars.length && width + measureText(chars[length], font) <= available) {
+        width += measureText(chars[length], font);
+        length++;
+    }
+    return `${chars.slice(0, length).join('').trimEnd()}${ELLIPSIS}`;
+}
+
+module.exports = { fontFiles, fontWeight, hasGlyph, measureText, truncateText };
@@ -0,0 +1,161 @@
+// utils/themes.js
+// Central theme registry. Cards read colors from the resolved theme instead of hardcoding them.
+
+// Each theme only needs the base colors; the rest is derived in resolveTheme()
+const themes = {
+    default: {
+        title_color: '333333',
+        text_color: '444444',
+        muted_color: '666666',
+        bg_color: 'ffffff',
+        bg_alt_color: 'f0f2f5',
+        surface_color: 'ffffff',
+        border_color: 'e4e2e2',
+        grid_color: 'dddddd',
+        heatmap: ['ebedf0', '9be9a8', '40c463', '30a14e', '216e39']
+    },
+    dark: {
+        title_color: 'ffffff',
+        text_color: 'c9d1d9',
+        bg_color: '151515',
+        accent_color: '79ff97'
+    },
+    github_dark: {
+        title_color: '58a6ff',
+        text_color: 'c3d1d9',
+        bg_color: '0d1117',
+        border_color: '30363d',
+        heatmap: ['161b22', '0e4429', '006d32', '26a641', '39d353']
+    },
+    radical: {
+        title_color: 'fe428e',
+        text_color: 'a9fef7',
+        bg_color: '141321',
+        accent_color: 'f8d847'
+    },
+    dracula: {
+        title_color: 'ff6e96',
+        text_color: 'f8f8f2',
+        bg_color: '282a36',
+        accent_color: '79dafa'
+    },
+    merko: {
+        title_color: 'abd200',
+        text_color: '68b587',
+        bg_color: '0a0f0b',
+        accent_color: 'b7d364'
+    },
+    gruvbox: {
+        title_color: 'fabd2f',
+        text_color: '8ec07c',
+        bg_color: '282828',
+        accent_color: 'fe8019'
+    },
+    tokyonight: {
+        title_color: '70a5fd',
+        text_color: '38bdae',
+        bg_color: '1a1b27',
+        accent_color: 'bf91f3'
+    },
+    onedark: {
+        title_color: 'e4bf7a',
+        text_color: 'df6d74',
+        bg_color: '282c34',
+        accent_color: '8eb573'
+    },
+    cobalt: {
+        title_color: 'e683d9',
+        text_color: '75eeb2',
+        bg_color: '003059',
+        accent_color: '0480ef'
+    },
+    synthwave: {
+        title_color: 'e2e9ec',
+        text_color: 'e5289e',
+        bg_color: '2b213a',
+        accent_color: 'ef8539'
+    },
+    nord: {
+        title_color: '81a1c1',
+        text_color: 'd8dee9',
+        bg_color: '2e3440',
+        accent_color: '88c0d0'
+    },
+    highcontrast: {
+        title_color: 'e7f216',
+        text_color: 'ffffff',
+        bg_color: '000000',
+        accent_color: '00ffff'
+    }
+};
+
+const OVERRIDES = ['bg_color', 'text_color', 'title_color', 'border_color'];
+
+function isHexColor(value) {
+    return typeof value === 'string' && /^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+}
+
+function expandHex(value) {
+    const hex = value.replace('#', '');
+    return hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+}
+
+// Blend two hex colors; amount 0 returns `from`, 1 returns `to`
+function mixColors(from, to, amount) {
+    const a = expandHex(from);
+    const b = expandHex(to);
+    const channel = i => {
+        const start = parseInt(a.slice(i, i + 2), 16);
+        const end = parseInt(b.slice(i, i + 2), 16);
+        return Math.round(start + (end - start) * amount).toString(16).padStart(2, '0');
+    };
+    return `#${channel(0)}${channel(2)}${channel(4)}`;
+}
+
+function parseBoolean(value) {
+    return value === '' || value === 'true' || value === '1';
+}
+
+function resolveTheme(query = {}) {
+    const name = Object.prototype.hasOwnProperty.call(themes, query.theme) ? query.theme : 'default';
+    const colors = { ...themes[name] };
+
+    // Per-color overrides accept hex without the leading '#'
+    OVERRIDES.forEach(key => {
+        if (isHexColor(query[key])) {
+            colors[key] = query[key];
+        }
+    });
+
+    const background = `#${expandHex(colors.bg_color)}`;
+    const text = `#${expandHex(colors.text_color)}`;
+    const title = `#${expandHex(colors.title_color)}`;
+    const accent = `#${expandHex(colors.accent_color || colors.title_color)}`;
+    const emptyCell = mixColors(background, text, 0.1);
+
+    return {
+        name,
+        background,
+        backgroundAlt: colors.bg_alt_color ? `#${colors.bg_alt_color}` : mixColors(background, text, 0.03),
+        surface: colors.surface_color ? `#${colors.surface_color}` : mixColors(background, text, 0.06),
+        title,
+        text,
+        muted: colors.muted_color ? `#${colors.muted_color}` : mixColors(text, background, 0.3),
+        border: colors.border_color ? `#${expandHex(colors.border_color)}` : mixColors(background, text, 0.2),
+        grid: colors.grid_color ? `#${colors.grid_color}` : mixColors(background, text, 0.25),
+        heatmap: colors.heatmap
+            ? colors.heatmap.map(color => `#${color}`)
+            : [emptyCell, ...[0.3, 0.55, 0.8, 1].map(amount => mixColors(emptyCell, accent, amount))],
+        // Explicit title_color wins over rank colors on handles and rank names
+        titleOverride: isHexColor(query.title_color) ? title : null,
+        hideBorder: parseBoolean(query.hide_border)
+    };
+}
+
+// Card background with an optional 1px border, drawn inside the card bounds
+function cardBackground(theme, width, height, fill = theme.background) {
+    return `<rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="14.5" fill="${fill}"
+          stroke="${theme.border}" stroke-opacity="${theme.hideBorder ? 0 : 1}"/>`;
+}
+
+module.exports = { themes, resolveTheme, cardBackground, mixColors, parseBoolean };